@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "agencies" (
+    "id" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "department" TEXT NOT NULL,
+    "province" TEXT NOT NULL,
+    "district" TEXT NOT NULL,
+    "agency" TEXT NOT NULL,
+    "air" BOOLEAN NOT NULL DEFAULT false,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "agencies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "agencies_label_key" ON "agencies"("label");
@@ -0,0 +1,3 @@
+-- The init migration was created before "password" was added to the schema.
+-- Stored values are encrypted by the application (see src/utils/crypto.js).
+ALTER TABLE "instances" ADD COLUMN IF NOT EXISTS "password" TEXT;
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "shipment_records" (
+    "id" TEXT NOT NULL,
+    "instanceId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "jobId" TEXT,
+    "input" JSONB NOT NULL,
+    "excelFile" TEXT,
+    "destinations" TEXT[],
+    "grrs" TEXT[],
+    "orderNumbers" TEXT[],
+    "result" JSONB,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+    "elapsedMs" INTEGER,
+
+    CONSTRAINT "shipment_records_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "shipment_records_instanceId_createdAt_idx" ON "shipment_records"("instanceId", "createdAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "instances" ADD COLUMN "dedicatedBrowser" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "audit_logs" (
+    "id" TEXT NOT NULL,
+    "actorType" TEXT NOT NULL,
+    "actorKeyId" TEXT,
+    "instanceId" TEXT,
+    "action" TEXT NOT NULL,
+    "request" JSONB,
+    "statusCode" INTEGER NOT NULL,
+    "outcome" TEXT NOT NULL,
+    "error" TEXT,
+    "ip" TEXT,
+    "durationMs" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "audit_logs_createdAt_idx" ON "audit_logs"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_instanceId_createdAt_idx" ON "audit_logs"("instanceId", "createdAt");
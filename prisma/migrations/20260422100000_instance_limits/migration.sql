@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "instances" ADD COLUMN "dailyShipmentQuota" INTEGER,
+ADD COLUMN "monthlyShipmentQuota" INTEGER,
+ADD COLUMN "rateLimitPerMinute" INTEGER;
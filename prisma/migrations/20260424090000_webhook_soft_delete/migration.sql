@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "webhooks" ADD COLUMN "deletedAt" TIMESTAMP(3);
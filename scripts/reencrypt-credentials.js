@@ -0,0 +1,61 @@
+/**
+ * Encrypts the stored password and storage state of every instance with the current
+ * CREDENTIALS_ENCRYPTION_KEY: plaintext rows written before encryption existed and rows
+ * encrypted with a key now listed in CREDENTIALS_ENCRYPTION_PREVIOUS_KEYS.
+ *
+ * Safe to run repeatedly; rows already on the current key are skipped.
+ *
+ * Usage: npm run credentials:reencrypt
+ */
+require('dotenv').config();
+
+const { getPrisma } = require('../src/db');
+const { encrypt, decrypt, needsReencryption, assertEncryptionConfigured } = require('../src/utils/crypto');
+
+const COLUMNS = ['password', 'storageState'];
+
+const run = async () => {
+  if (!process.env.CREDENTIALS_ENCRYPTION_KEY) {
+    // Throws unless plaintext storage was explicitly allowed
+    assertEncryptionConfigured();
+    console.log('CREDENTIALS_ENCRYPTION_KEY is not set, nothing to do');
+    return;
+  }
+
+  const db = getPrisma();
+  const instances = await db.instance.findMany({
+    select: { id: true, password: true, storageState: true }
+  });
+
+  let updated = 0;
+  let failed = 0;
+
+  for (const instance of instances) {
+    const data = {};
+
+    for (const column of COLUMNS) {
+      if (!needsReencryption(instance[column])) continue;
+      try {
+        data[column] = encrypt(decrypt(instance[column]));
+      } catch (error) {
+        failed++;
+        console.error(`[${instance.id}] Cannot re-encrypt ${column}: ${error.message}`);
+      }
+    }
+
+    if (Object.keys(data).length > 0) {
+      await db.instance.update({ where: { id: instance.id }, data });
+      updated++;
+    }
+  }
+
+  console.log(`Re-encrypted ${updated} of ${instances.length} instance(s)${failed ? `, ${failed} value(s) failed` : ''}`);
+  await db.$disconnect();
+
+  if (failed) process.exitCode = 1;
+};
+
+run().catch((err) => {
+  console.error('Credential re-encryption failed:', err);
+  process.exit(1);
+});
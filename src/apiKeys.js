@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { getPrisma } = require('./db');
+
+/**
+ * Scopes a key can be granted. Routes declare the one they need in `config.scope`:
+ *   read      status, shipment history, tracking, pending shipments, jobs and catalog
+ *   register  registering, quoting, validating and cancelling shipments
+ *   admin     everything, including sessions, webhooks, keys and deleting the instance
+ */
+const API_KEY_SCOPES = ['read', 'register', 'admin'];
+
+const KEY_PREFIX = 'sk_';
+
+// lastUsedAt is written at most once per interval per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Additional API keys of an instance, each limited to some scopes and optionally expiring.
+ *
+ * Keys look like `sk_<hex>` and only their SHA-256 is stored, so they are shown once when created.
+ * The instance's own apiKey keeps full access and can be rotated (see TenantManager.rotateApiKey).
+ */
+class ApiKeys {
+  constructor() {
+    this.scopes = API_KEY_SCOPES;
+  }
+
+  isScopedKey(key) {
+    return typeof key === 'string' && key.startsWith(KEY_PREFIX);
+  }
+
+  hasScope(scopes, required) {
+    return scopes.includes('admin') || scopes.includes(required);
+  }
+
+  async create(instanceId, { name = null, scopes, expiresAt = null }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+    const db = getPrisma();
+    const record = await db.apiKey.create({
+      data: {
+        instanceId,
+        name,
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        keyHash: hashKey(key),
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresAt ? new Date(expiresAt) : null
+      }
+    });
+
+    // The key is only returned here
+    return { ...this._format(record), key };
+  }
+
+  async list(instanceId) {
+    const db = getPrisma();
+    const keys = await db.apiKey.findMany({
+      where: { instanceId },
+      orderBy: { createdAt: 'asc' }
+    });
+    return keys.map(k => this._format(k));
+  }
+
+  async revoke(instanceId, id) {
+    const db = getPrisma();
+    const { count } = await db.apiKey.deleteMany({ where: { id, instanceId } });
+    return count > 0;
+  }
+
+  async removeInstance(instanceId) {
+    try {
+      const db = getPrisma();
+      await db.apiKey.deleteMany({ where: { instanceId } });
+    } catch (error) {
+      console.error(`[${instanceId}] Failed to remove API keys:`, error.message);
+    }
+  }
+
+  /**
+   * Looks up a scoped key.
+   *
+   * @returns {Promise<Object|null>} - { id, instanceId, scopes, expired }, or null for unknown keys
+   */
+  async authenticate(key) {
+    const db = getPrisma();
+    const record = await db.apiKey.findUnique({ where: { keyHash: hashKey(key) } });
+    if (!record) return null;
+
+    const expired = !!record.expiresAt && record.expiresAt.getTime() <= Date.now();
+    if (!expired && (!record.lastUsedAt || Date.now() - record.lastUsedAt.getTime() > TOUCH_INTERVAL_MS)) {
+      db.apiKey.update({ where: { id: record.id }, data: { lastUsedAt: new Date() } })
+        .catch(error => console.error(`Failed to update API key ${record.id}:`, error.message));
+    }
+
+    return { id: record.id, instanceId: record.instanceId, scopes: record.scopes, expired };
+  }
+
+  _format({ id, instanceId, name, prefix, scopes, expiresAt, lastUsedAt, createdAt }) {
+    return { id, instanceId, name, prefix, scopes, expiresAt, lastUsedAt, createdAt };
+  }
+}
+
+module.exports = new ApiKeys();
@@ -0,0 +1,129 @@
+const { getPrisma } = require('./db');
+
+// Request fields whose values never reach the log
+const SECRET_FIELDS = /pass|secret|token|apikey|^key$|securitycode|authorization|storagestate/i;
+
+// Longer arrays (e.g. the shipments of a batch) are logged as their length
+const MAX_ARRAY_ITEMS = 10;
+const MAX_STRING_LENGTH = 200;
+
+// Maximum rows of a CSV export
+const EXPORT_LIMIT = parseInt(process.env.AUDIT_EXPORT_LIMIT, 10) || 10000;
+
+const CSV_COLUMNS = ['createdAt', 'actorType', 'actorKeyId', 'instanceId', 'action', 'statusCode', 'outcome', 'error', 'ip', 'durationMs', 'request'];
+
+// Copy of a request body/query with secrets masked and large values shortened
+const redact = (value, field = '') => {
+  if (value === null || value === undefined) return value;
+  if (field && SECRET_FIELDS.test(field)) return '[REDACTED]';
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (Array.isArray(value)) {
+    return value.length > MAX_ARRAY_ITEMS ? `[${value.length} items]` : value.map(v => redact(v));
+  }
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+  }
+  if (typeof value === 'string' && value.length > MAX_STRING_LENGTH) return `${value.slice(0, MAX_STRING_LENGTH)}...`;
+  return value;
+};
+
+// Text cells that a spreadsheet would read as a formula are prefixed with a quote
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Append-only record of the requests made to the API: who (admin key, instance key or scoped key),
+ * what route, on which instance, with which redacted parameters and how it ended.
+ *
+ * Entries are never updated or deleted by the application. Write failures are logged and never
+ * interrupt the request.
+ */
+class AuditLog {
+  /**
+   * @param {Object} entry - { actorType, actorKeyId, instanceId, action, request, statusCode, error, ip, durationMs }
+   *                          where action is `<METHOD> <route>`, e.g. "POST /register"
+   */
+  async record(entry) {
+    const { statusCode } = entry;
+    const outcome = statusCode === 401 || statusCode === 403 ? 'denied' : statusCode >= 400 ? 'failure' : 'success';
+
+    try {
+      const db = getPrisma();
+      await db.auditLog.create({ data: { ...entry, outcome } });
+    } catch (error) {
+      console.error(`Failed to write audit log for ${entry.action}:`, error.message);
+    }
+  }
+
+  // Parameters of a request as stored in the log
+  summarize({ params, query, body }) {
+    const summary = {};
+    if (params && Object.keys(params).length > 0) summary.params = redact(params);
+    if (query && Object.keys(query).length > 0) summary.query = redact(query);
+    if (body && typeof body === 'object') summary.body = redact(body);
+    return summary;
+  }
+
+  _where({ from, to, instanceId, action, actorType, actorKeyId, outcome }) {
+    const where = {};
+
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = new Date(from);
+      if (to) where.createdAt.lte = new Date(to);
+    }
+    if (instanceId) where.instanceId = instanceId;
+    if (action) where.action = { contains: action, mode: 'insensitive' };
+    if (actorType) where.actorType = actorType;
+    if (actorKeyId) where.actorKeyId = actorKeyId;
+    if (outcome) where.outcome = outcome;
+    return where;
+  }
+
+  /**
+   * Lists entries, newest first.
+   *
+   * @param {Object} filters - { from, to, instanceId, action, actorType, actorKeyId, outcome, page, pageSize }
+   * @returns {Promise<Object>} - { total, page, pageSize, entries }
+   */
+  async list({ page = 1, pageSize = 50, ...filters } = {}) {
+    const where = this._where(filters);
+
+    const db = getPrisma();
+    const [total, entries] = await Promise.all([
+      db.auditLog.count({ where }),
+      db.auditLog.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize
+      })
+    ]);
+
+    return { total, page, pageSize, entries };
+  }
+
+  // CSV of the entries matching the filters, newest first, up to EXPORT_LIMIT rows
+  async exportCsv(filters = {}) {
+    const db = getPrisma();
+    const entries = await db.auditLog.findMany({
+      where: this._where(filters),
+      orderBy: { createdAt: 'desc' },
+      take: EXPORT_LIMIT
+    });
+
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const entry of entries) {
+      lines.push(CSV_COLUMNS.map(column => csvValue(entry[column])).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+  }
+}
+
+module.exports = new AuditLog();
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const { chromium } = require('playwright');
+
+// Number of shared Chromium processes
+const POOL_SIZE = Math.max(1, parseInt(process.env.BROWSER_POOL_SIZE, 10) || 1);
+
+// How instances are assigned to the shared browsers
+const STRATEGIES = ['least-load', 'sticky'];
+const STRATEGY = STRATEGIES.includes(process.env.BROWSER_POOL_STRATEGY) ? process.env.BROWSER_POOL_STRATEGY : 'least-load';
+
+// Relaunch attempts after a browser disconnects, waiting RELAUNCH_DELAY_MS * attempt between them
+const RELAUNCH_ATTEMPTS = parseInt(process.env.BROWSER_RELAUNCH_ATTEMPTS, 10) || 5;
+const RELAUNCH_DELAY_MS = 5000;
+
+/**
+ * Chromium processes hosting the instance contexts.
+ *
+ * The shared browsers (`shared-0` .. `shared-<N-1>`) are launched at startup and each new context goes
+ * to the one with the fewest contexts ('least-load') or to the one picked by hashing the instance id
+ * ('sticky'). Instances with a dedicated browser get their own process (`dedicated-<instanceId>`),
+ * launched on demand and closed with its last context.
+ *
+ * When a browser disconnects, `onDisconnect(slot)` is called so the owner can drop the dead contexts
+ * and start `recover()`, which relaunches the process in the background.
+ */
+class BrowserPool {
+  constructor() {
+    this.size = POOL_SIZE;
+    this.strategy = STRATEGY;
+    this.slots = new Map();
+    this.isShuttingDown = false;
+    this.onDisconnect = null;
+
+    for (let i = 0; i < POOL_SIZE; i++) {
+      this.slots.set(`shared-${i}`, this._createSlot(`shared-${i}`, null));
+    }
+  }
+
+  _createSlot(id, dedicatedTo) {
+    return {
+      id,
+      dedicatedTo,
+      browser: null,
+      // 'connected' | 'recovering' | 'disconnected'
+      status: 'disconnected',
+      contexts: 0,
+      recovery: null,
+      crashes: 0,
+      launchedAt: null,
+      lastCrashAt: null,
+      lastRecoveryAt: null
+    };
+  }
+
+  _shared() {
+    return [...this.slots.values()].filter(s => !s.dedicatedTo);
+  }
+
+  // Launches the shared browsers, one at a time. Failures are logged and retried on first use
+  async launch() {
+    for (const slot of this._shared()) {
+      if (this.isShuttingDown) return;
+      await this.recover(slot, 1);
+    }
+  }
+
+  /**
+   * Opens a browser context for an instance.
+   *
+   * @param {string} instanceId
+   * @param {Object} options - { dedicated, ...Playwright newContext options }
+   * @returns {Promise<Object>} - { context, slot } where slot is the id of the hosting browser
+   */
+  async newContext(instanceId, { dedicated = false, ...options } = {}) {
+    const slot = this._pick(instanceId, dedicated);
+    if (!slot.browser) await (slot.recovery || this.recover(slot, 1));
+    if (!slot.browser) throw new Error(`Browser ${slot.id} is not available`);
+
+    const { browser } = slot;
+    const context = await browser.newContext(options);
+    slot.contexts++;
+
+    context.on('close', () => {
+      if (slot.browser !== browser) return;
+      slot.contexts--;
+      if (slot.dedicatedTo && slot.contexts === 0) this._retire(slot);
+    });
+
+    return { context, slot: slot.id };
+  }
+
+  _pick(instanceId, dedicated) {
+    if (dedicated) {
+      const id = `dedicated-${instanceId}`;
+      if (!this.slots.has(id)) this.slots.set(id, this._createSlot(id, instanceId));
+      return this.slots.get(id);
+    }
+
+    const shared = this._shared();
+    if (this.strategy === 'sticky') {
+      const hash = crypto.createHash('sha1').update(instanceId).digest().readUInt32BE(0);
+      return shared[hash % shared.length];
+    }
+
+    // Prefer running browsers (a recovering one included, so it gets its instances back);
+    // when none is up the least loaded one gets relaunched
+    const running = shared.filter(s => s.browser);
+    return (running.length > 0 ? running : shared).reduce((a, b) => (b.contexts < a.contexts ? b : a));
+  }
+
+  async _launch(slot) {
+    const browser = await chromium.launch({
+      headless: process.env.HEADLESS !== 'false',
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage' // Crucial for Docker environments
+      ]
+    });
+    browser.on('disconnected', () => this._onDisconnected(slot, browser));
+
+    slot.browser = browser;
+    slot.contexts = 0;
+    slot.launchedAt = new Date();
+  }
+
+  // Chromium crashed or was killed: every context of the slot is gone
+  _onDisconnected(slot, browser) {
+    if (slot.browser !== browser) return;
+
+    slot.browser = null;
+    slot.contexts = 0;
+    slot.status = 'disconnected';
+    if (this.isShuttingDown || slot.retired) return;
+
+    console.error(`[${slot.id}] Browser disconnected`);
+    slot.crashes++;
+    slot.lastCrashAt = new Date();
+
+    if (this.onDisconnect) {
+      this.onDisconnect(slot);
+    } else {
+      this.recover(slot);
+    }
+  }
+
+  /**
+   * Launches the browser of a slot again. Concurrent calls share the same attempt.
+   *
+   * @param {Object} slot
+   * @param {number} attempts
+   * @param {Function} afterRelaunch - Awaited once the browser is up, before the slot is reported connected
+   * @returns {Promise<void>} - Resolves when the recovery is over, whether it succeeded or not
+   */
+  recover(slot, attempts = RELAUNCH_ATTEMPTS, afterRelaunch = null) {
+    if (slot.recovery) return slot.recovery;
+
+    slot.status = 'recovering';
+    slot.recovery = this._recover(slot, attempts, afterRelaunch)
+      .catch(error => console.error(`[${slot.id}] Browser recovery error:`, error.message))
+      .finally(() => { slot.recovery = null; });
+    return slot.recovery;
+  }
+
+  async _recover(slot, attempts, afterRelaunch) {
+    for (let attempt = 1; !slot.browser; attempt++) {
+      if (this.isShuttingDown) return;
+      try {
+        await this._launch(slot);
+      } catch (error) {
+        console.error(`[${slot.id}] Browser launch attempt ${attempt}/${attempts} failed:`, error.message);
+        if (attempt >= attempts) {
+          slot.status = 'disconnected';
+          return;
+        }
+        await new Promise(resolve => setTimeout(resolve, RELAUNCH_DELAY_MS * attempt));
+      }
+    }
+
+    if (afterRelaunch) await afterRelaunch();
+
+    slot.status = 'connected';
+    if (slot.crashes > 0) slot.lastRecoveryAt = new Date();
+  }
+
+  // A dedicated browser lives as long as its instance has a context
+  async _retire(slot) {
+    if (slot.recovery || !slot.browser) return;
+
+    slot.retired = true;
+    this.slots.delete(slot.id);
+    await slot.browser.close().catch(() => { });
+    console.log(`[${slot.id}] Dedicated browser closed`);
+  }
+
+  /**
+   * Aggregated state for the health check: 'recovering' while any browser is being relaunched after
+   * a crash, 'disconnected' when no shared browser is up, 'degraded' when only some of them are.
+   * Dedicated browsers being launched for the first time are not a recovery.
+   */
+  getStatus() {
+    const relaunching = [...this.slots.values()].some(s => s.status === 'recovering' && (!s.dedicatedTo || s.crashes > 0));
+    if (relaunching) return 'recovering';
+
+    const shared = this._shared();
+    const connected = shared.filter(s => s.status === 'connected').length;
+    if (connected === 0) return 'disconnected';
+    return connected < shared.length ? 'degraded' : 'connected';
+  }
+
+  getMetrics() {
+    return {
+      size: this.size,
+      strategy: this.strategy,
+      status: this.getStatus(),
+      browsers: [...this.slots.values()].map(s => ({
+        id: s.id,
+        dedicatedTo: s.dedicatedTo,
+        status: s.status,
+        contexts: s.contexts,
+        crashes: s.crashes,
+        launchedAt: s.launchedAt,
+        lastCrashAt: s.lastCrashAt,
+        lastRecoveryAt: s.lastRecoveryAt
+      }))
+    };
+  }
+
+  async shutdown() {
+    this.isShuttingDown = true;
+
+    for (const slot of this.slots.values()) {
+      if (slot.browser) await slot.browser.close().catch(() => { });
+      slot.browser = null;
+      slot.status = 'disconnected';
+    }
+  }
+}
+
+module.exports = new BrowserPool();
@@ -0,0 +1,92 @@
+// Shalom agencies (DEPARTAMENTO / PROVINCIA / DISTRITO / AGENCIA) as listed in shalom_datos.md.
+// Each one is also offered with an "- AEREO" variant.
+module.exports = [
+  'CAJAMARCA / HUALGAYOC / BAMBAMARCA / BAMBAMARCA',
+  'AREQUIPA / AREQUIPA / AREQUIPA / AV PARRA 379 CO',
+  'ICA / ICA / ICA / ICA SAN JOAQUIN',
+  'APURIMAC / ANDAHUAYLAS / ANDAHUAYLAS / ANDAHUAYLAS',
+  'PASCO / PASCO / CHAUPIMARCA / CERRO DE PASCO',
+  'CAJAMARCA / CAJAMARCA / CAJAMARCA / CAJAMARCA CO',
+  'SAN MARTIN / MOYOBAMBA / MOYOBAMBA / OVALO ORQUIDEAS CO',
+  'APURIMAC / ABANCAY / ABANCAY / ABANCAY',
+  'LIMA / BARRANCA / BARRANCA / BARRANCA',
+  'ANCASH / SANTA / CHIMBOTE / AV ENRIQUE MEIGGS',
+  'LIMA / HUAURA / HUACHO / SALAVERRY HUACHO CO',
+  'MOQUEGUA / ILO / ILO / ILO CO PAMPA INALAMBRICA',
+  'AYACUCHO / HUAMANGA / AYACUCHO / AYACUCHO CO',
+  'LIMA / CAÑETE / SAN VICENTE DE CANET / CAÑETE SAN VICENTE',
+  'ICA / CHINCHA / CHINCHA ALTA / PROLONG LUIS MASSARO',
+  'JUNIN / HUANCAYO / EL TAMBO / AV MARISCAL CASTILLA CO PARQUE INDUSTRIAL',
+  'LAMBAYEQUE / CHICLAYO / LA VICTORIA / AV VICTOR R. HAYA CO',
+  'HUANUCO / HUANUCO / HUANUCO / JR AGUILAR',
+  'PUNO / SAN ROMAN / JULIACA / JULIACA SAN SANTIAGO',
+  'PUNO / PUNO / PUNO / AV COSTANERA',
+  'CUSCO / CANCHIS / SICUANI / SICUANI CO OVALO SAN ANDRES',
+  'TACNA / TACNA / TACNA / TACNA CO AV. JORGE BASADRE',
+  'PIURA / TALARA / PARINAS / TALARA CO ASOC CALIFORNIA',
+  'LA LIBERTAD / TRUJILLO / TRUJILLO / CALLE LIVERPOOL',
+  'TUMBES / TUMBES / TUMBES / TUMBES - AV ARICA',
+  'MOQUEGUA / MARISCAL NIETO / MOQUEGUA / SAN ANTONIO',
+  'LIMA / LIMA / LA VICTORIA / JR. RAYMONDI',
+  'LIMA / LIMA / VILLA MARIA DEL TRIUNFO / LAS CONCHITAS',
+  'AMAZONAS / UTCUBAMBA / BAGUA GRANDE / BAGUA GRANDE',
+  'AMAZONAS / BONGARA / JAZAN / PEDRO RUIZ',
+  'CAJAMARCA / CHOTA / CHOTA / CHOTA',
+  'LORETO / MAYNAS / IQUITOS / IQUITOS JR FRANCISCO BOLOGNESI',
+  'UCAYALI / CORONEL PORTILLO / PUCALLPA CALLERIA / CALLERIA JR JOSE GALVEZ',
+  'HUANUCO / LEONCIO PRADO / RUPA RUPA / TINGO MARIA CO BUENOS AIRES',
+  'ICA / PISCO / PISCO / AV ABRAHAM VALDELOMAR CO',
+  'LIMA / HUAURA / HUACHO / PANAMERICANA NORTE KM 149',
+  'LIMA / CAÑETE / MALA / MALA',
+  'LIMA / LIMA / ATE-VITARTE / HUAYCAN ENTRADA',
+  'LIMA / LIMA / PACHACAMAC / LA CURVA DE MANCHAY',
+  'CALLAO / CALLAO / CALLAO / AV. CANTA CALLAO',
+  'LIMA / CAÑETE / CHILCA / CHILCA',
+  'LIMA / HUARAL / HUARAL / HUARAL JR DERECHA',
+  'LAMBAYEQUE / LAMBAYEQUE / OLMOS / OLMOS',
+  'ANCASH / HUARAZ / HUARAZ / HUARAZ AV. CONFRATERNIDAD OESTE',
+  'PIURA / SULLANA / SULLANA / SULLANA CO PANAMERICANA NORTE',
+  'LA LIBERTAD / TRUJILLO / MOCHE / MOCHE',
+  'PIURA / PAITA / PAITA / PAITA',
+  'ICA / NASCA / NASCA / NASCA',
+  'LORETO / ALTO AMAZONAS / YURIMAGUAS / YURIMAGUAS',
+  'LIMA / CAÑETE / MALA / ASIA KM 101',
+  'LIMA / LIMA / CHORRILLOS / CHORRILLOS CO',
+  'LIMA / LIMA / SAN JUAN DE MIRAFLORES / S.J.M. CO',
+  'LIMA / LIMA / VILLA EL SALVADOR / V.E.S. CO',
+  'LIMA / LIMA / LURIN / KM 40 LURIN',
+  'LIMA / HUAURA / SAYAN / SAYAN',
+  'LIMA / BARRANCA / PATIVILCA / PATIVILCA',
+  'PIURA / SECHURA / SECHURA / SECHURA',
+  'SAN MARTIN / RIOJA / ELIAS SOPLIN VARGAS / SEGUNDA JERUSALEN',
+  'CUSCO / CANCHIS / SICUANI / SICUANI AV MANUEL CALLO',
+  'LIMA / LIMA / SAN JUAN DE MIRAFLORES / ATOCONGO',
+  'PIURA / SULLANA / SULLANA / SULLANA SANTA ROSA',
+  'PIURA / SULLANA / SULLANA / SULLANA CO ZONA INDUSTRIAL',
+  'ICA / CHINCHA / SUNAMPE / SUNAMPE CO',
+  'LIMA / BARRANCA / SUPE / SUPE',
+  'PIURA / PIURA / CASTILLA / TACALA',
+  'PIURA / TALARA / PARINAS / TALARA ALTA 9 DE OCTUBRE',
+  'PIURA / TALARA / PARINAS / TALARA BAJA PARQUE 22',
+  'PIURA / PIURA / TAMBO GRANDE / TAMBO GRANDE',
+  'MADRE DE DIOS / TAMBOPATA / TAMBOPATA / TAMBOPATA AV CIRCUNVALACION',
+  'SAN MARTIN / SAN MARTIN / TARAPOTO / TARAPOTO CO JR ALFONSO UGARTE',
+  'CAJAMARCA / CONTUMAZA / YONAN / TEMBLADERA CAJAMARCA',
+  'CUSCO / CUSCO / CUSCO / TICA TICA',
+  'LIMA / LIMA / COMAS / AV. TRAPICHE',
+  'ANCASH / SANTA / NUEVO CHIMBOTE / TRES DE OCTUBRE',
+  'AREQUIPA / AREQUIPA / UCHUMAYO / UCHUMAYO',
+  'CUSCO / CUSCO / SANTIAGO / URB. BANCOPATA AV. INDUSTRIAL',
+  'LIMA / LIMA / ATE-VITARTE / URB SANTA ELVIRA',
+  'LIMA / LIMA / CARABAYLLO / TUNGASUCA',
+  'CUSCO / URUBAMBA / URUBAMBA / CUSCO URUBAMBA',
+  'CUSCO / CUSCO / WANCHAQ / VELASCO ASTETE',
+  'CUSCO / CUSCO / SAN SEBASTIAN / VIA EVITAMIENTO CHACAHUAYCO',
+  'LA LIBERTAD / VIRU / VIRU / PUENTE VIRU',
+  'LA LIBERTAD / TRUJILLO / LA ESPERANZA / WICHANZAO',
+  'UCAYALI / CORONEL PORTILLO / PUCALLPA YARINACOCHA / YARINACOCHA AV UNIVERSITARIA',
+  'AREQUIPA / AREQUIPA / YURA / YURA',
+  'AREQUIPA / AREQUIPA / CERRO COLORADO / ZAMACOLA',
+  'TUMBES / ZARUMILLA / ZARUMILLA / ZARUMILLA',
+  'LIMA / LIMA / SAN JUAN DE LURIGANCHO / JR CHINCHAYSUYO CDRA 4'
+];
@@ -0,0 +1,16 @@
+const { PrismaClient } = require('@prisma/client');
+const { Pool } = require('pg');
+const { PrismaPg } = require('@prisma/adapter-pg');
+
+// Lazy initialization of Prisma client
+let prisma = null;
+const getPrisma = () => {
+  if (!prisma) {
+    const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+    const adapter = new PrismaPg(pool);
+    prisma = new PrismaClient({ adapter });
+  }
+  return prisma;
+};
+
+module.exports = { getPrisma };
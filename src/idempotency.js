@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { getPrisma } = require('./db');
+
+// Keys older than this are forgotten and can be reused for a new request
+const KEY_TTL_MS = (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24) * 3600 * 1000;
+
+// The claim of a running request is renewed every third of this lease (see hold). A 'processing' key
+// not renewed for this long belongs to a request that died (e.g. the server restarted) and the next
+// request with it takes it over
+const PROCESSING_LEASE_MS = (parseInt(process.env.IDEMPOTENCY_PROCESSING_LEASE_SECONDS, 10) || 300) * 1000;
+
+// JSON with sorted object keys, so the same body always produces the same hash.
+// Uploaded files (Buffers) are represented by their digest.
+const stableStringify = (value) => {
+  if (Buffer.isBuffer(value)) return JSON.stringify(crypto.createHash('sha256').update(value).digest('hex'));
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Stores the outcome of requests sent with an Idempotency-Key header, scoped per instance, so a
+ * retried registration returns the original result instead of creating duplicate orders.
+ */
+class IdempotencyStore {
+  hashRequest(route, body) {
+    return crypto.createHash('sha256').update(`${route}\n${stableStringify(body || {})}`).digest('hex');
+  }
+
+  /**
+   * Claims a key for a request.
+   *
+   * @returns {Promise<Object>} - { state } where state is:
+   *   'new'        the key was free and is now reserved for this request
+   *   'replay'     the request already finished; statusCode and response hold its outcome
+   *   'processing' the original request is still running
+   *   'mismatch'   the key was used with a different request
+   *
+   * A 'processing' claim older than the lease is taken over and reported as 'new'.
+   */
+  async begin(instanceId, key, requestHash) {
+    const db = getPrisma();
+
+    const existing = await db.idempotencyKey.findUnique({
+      where: { instanceId_key: { instanceId, key } }
+    });
+
+    if (existing && Date.now() - existing.createdAt.getTime() > KEY_TTL_MS) {
+      await db.idempotencyKey.delete({ where: { id: existing.id } }).catch(() => { });
+    } else if (existing) {
+      if (this._isAbandoned(existing, requestHash) && await this._takeOver(existing)) return { state: 'new' };
+      return this._stateOf(existing, requestHash);
+    }
+
+    try {
+      await db.idempotencyKey.create({
+        data: { instanceId, key, requestHash }
+      });
+      return { state: 'new' };
+    } catch (error) {
+      // Unique violation: a concurrent request claimed the key first
+      if (error.code !== 'P2002') throw error;
+      const current = await db.idempotencyKey.findUnique({
+        where: { instanceId_key: { instanceId, key } }
+      });
+      return this._stateOf(current, requestHash);
+    }
+  }
+
+  /**
+   * Keeps renewing the claim of a running request so it is not taken over however long it runs.
+   *
+   * @returns {Function} - Stops renewing; call it once the request has finished
+   */
+  hold(instanceId, key) {
+    const timer = setInterval(() => {
+      const db = getPrisma();
+      db.idempotencyKey.updateMany({
+        where: { instanceId, key, status: 'processing' },
+        data: { claimedAt: new Date() }
+      }).catch(error => console.error(`Failed to renew idempotency key ${key}:`, error.message));
+    }, PROCESSING_LEASE_MS / 3);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  _isAbandoned(record, requestHash) {
+    return record.status === 'processing' && record.requestHash === requestHash &&
+      Date.now() - record.claimedAt.getTime() > PROCESSING_LEASE_MS;
+  }
+
+  // Renews the claim only if nobody else did it since it was read
+  async _takeOver(record) {
+    const db = getPrisma();
+    const { count } = await db.idempotencyKey.updateMany({
+      where: { id: record.id, status: 'processing', claimedAt: record.claimedAt },
+      data: { claimedAt: new Date() }
+    });
+    return count === 1;
+  }
+
+  _stateOf(record, requestHash) {
+    if (record.requestHash !== requestHash) return { state: 'mismatch' };
+    if (record.status === 'completed') {
+      return { state: 'replay', statusCode: record.statusCode, response: record.response };
+    }
+    return { state: 'processing' };
+  }
+
+  async complete(instanceId, key, statusCode, response) {
+    const db = getPrisma();
+    await db.idempotencyKey.update({
+      where: { instanceId_key: { instanceId, key } },
+      data: { status: 'completed', statusCode, response, completedAt: new Date() }
+    });
+  }
+
+  // Frees a key whose request failed before doing anything, so the client can retry with it
+  async release(instanceId, key) {
+    const db = getPrisma();
+    await db.idempotencyKey.delete({
+      where: { instanceId_key: { instanceId, key } }
+    }).catch(() => { });
+  }
+}
+
+module.exports = new IdempotencyStore();
@@ -6,6 +6,13 @@ const buildApp = async () => {
     pluginTimeout: 30000 // Aumentar timeout de plugins a 30s para conexiones Redis lentas
   });
   const tenantManager = require('./tenantManager');
+  const jobQueue = require('./jobQueue');
+  const { InstanceBusyError } = require('./utils/errors');
+  const idempotency = require('./idempotency');
+  const webhooks = require('./webhooks');
+  const apiKeys = require('./apiKeys');
+  const auditLog = require('./auditLog');
+  const limits = require('./limits');
 
   // Register Redis
   try {
@@ -21,11 +28,23 @@ const buildApp = async () => {
     // Si falla Redis, la app podría no iniciar correctamente si rate-limit depende de él.
   }
 
-  // Register Rate Limit
+  // Register Rate Limit: flood guard per client IP. Requests of an instance are also limited by
+  // their cost in checkApiKey (see limits.js)
   const rateLimitOptions = {
-    max: 100,
+    max: parseInt(process.env.RATE_LIMIT_IP_MAX, 10) || 300,
     timeWindow: '1 minute',
-    keyGenerator: (req) => req.headers['x-api-key'] || req.ip
+    keyGenerator: (req) => req.ip,
+    addHeaders: {
+      'x-ratelimit-limit': false,
+      'x-ratelimit-remaining': false,
+      'x-ratelimit-reset': false,
+      'retry-after': true
+    },
+    addHeadersOnExceeding: {
+      'x-ratelimit-limit': false,
+      'x-ratelimit-remaining': false,
+      'x-ratelimit-reset': false
+    }
   };
 
   if (fastify.redis) {
@@ -34,6 +53,19 @@ const buildApp = async () => {
 
   await fastify.register(require('@fastify/rate-limit'), rateLimitOptions);
 
+  // Multipart uploads (POST /register). Fields land in request.body like a JSON body, so checkApiKey
+  // and the route schemas work unchanged; the file becomes { filename, mimetype, data }.
+  await fastify.register(require('@fastify/multipart'), {
+    attachFieldsToBody: 'keyValues',
+    limits: {
+      files: 1,
+      fileSize: (parseInt(process.env.UPLOAD_MAX_MB, 10) || 5) * 1024 * 1024
+    },
+    onFile: async (part) => {
+      part.value = { filename: part.filename, mimetype: part.mimetype, data: await part.toBuffer() };
+    }
+  });
+
   // Register Swagger
   await fastify.register(require('@fastify/swagger'), {
     openapi: {
@@ -58,7 +90,10 @@ const buildApp = async () => {
       tags: [
         { name: 'Instances', description: 'Gestión de instancias de navegador' },
         { name: 'Authentication', description: 'Login y logout de sesiones' },
-        { name: 'Shipments', description: 'Registro de envíos' }
+        { name: 'Shipments', description: 'Registro de envíos' },
+        { name: 'Catalog', description: 'Catálogo de agencias de origen y destino' },
+        { name: 'Webhooks', description: 'Notificaciones de eventos de envíos y sesiones' },
+        { name: 'Audit', description: 'Registro de auditoría de las acciones realizadas en la API' }
       ]
     }
   });
@@ -77,7 +112,16 @@ const buildApp = async () => {
       hide: true
     }
   }, async (request, reply) => {
-    return { status: 'ok', uptime: process.uptime() };
+    const health = tenantManager.getHealth();
+
+    // Degraded while a browser is being relaunched or some of the pool is down, unavailable when none is up
+    if (health.browser === 'recovering' || health.browser === 'degraded') {
+      return { status: 'degraded', uptime: process.uptime(), ...health };
+    }
+    if (health.browser === 'disconnected' && tenantManager.initialized) {
+      return reply.code(503).send({ status: 'unavailable', uptime: process.uptime(), ...health });
+    }
+    return { status: 'ok', uptime: process.uptime(), ...health };
   });
 
   // Middleware to check Admin API Key only
@@ -93,6 +137,8 @@ const buildApp = async () => {
       reply.code(403).send({ error: 'Invalid Admin API Key' });
       return;
     }
+
+    request.isAdmin = true;
   };
 
   // Middleware/Hook to check API Key and instanceId for protected routes
@@ -103,13 +149,16 @@ const buildApp = async () => {
       return;
     }
 
-    const { instanceId } = request.body || {};
+    // GET routes carry the instanceId in the query string, /instances/:instanceId/... in the path
+    const { instanceId } = (request.params && request.params.instanceId)
+      ? request.params
+      : request.body || request.query || {};
 
     // Check if it's the admin API key
     const adminApiKey = process.env.ADMIN_API_KEY;
     if (adminApiKey && apiKey === adminApiKey) {
       if (!instanceId) {
-        reply.code(400).send({ error: 'Missing instanceId in request body' });
+        reply.code(400).send({ error: 'Missing instanceId in request body or query string' });
         return;
       }
 
@@ -131,14 +180,38 @@ const buildApp = async () => {
       return;
     }
 
-    const instance = await tenantManager.getOrRestoreInstance(apiKey);
+    // Scoped keys only reach the routes whose config.scope they were granted (admin by default)
+    let instance;
+    if (apiKeys.isScopedKey(apiKey)) {
+      const key = await apiKeys.authenticate(apiKey);
+      if (!key) {
+        reply.code(403).send({ error: 'Invalid API Key' });
+        return;
+      }
+      request.apiKey = key;
+      if (key.expired) {
+        reply.code(401).send({ error: 'API Key expired' });
+        return;
+      }
+
+      const scope = request.routeOptions.config.scope || 'admin';
+      if (!apiKeys.hasScope(key.scopes, scope)) {
+        reply.code(403).send({ error: 'Insufficient scope', details: `This route requires the "${scope}" scope` });
+        return;
+      }
+
+      instance = await tenantManager.getOrRestoreInstanceById(key.instanceId);
+    } else {
+      instance = await tenantManager.getOrRestoreInstance(apiKey);
+    }
+
     if (!instance) {
       reply.code(403).send({ error: 'Invalid API Key' });
       return;
     }
 
     if (!instanceId) {
-      reply.code(400).send({ error: 'Missing instanceId in request body' });
+      reply.code(400).send({ error: 'Missing instanceId in request body or query string' });
       return;
     }
 
@@ -148,6 +221,213 @@ const buildApp = async () => {
     }
 
     request.instance = instance;
+
+    // Idempotent routes charge once the key is known not to be a replay (see checkIdempotencyKey)
+    if (request.routeOptions.config.idempotent && request.headers['idempotency-key']) return;
+    await chargeRateLimit(request, reply);
+  };
+
+  // Charges config.cost points (1 by default) of the instance's per-minute budget and replies 429 when
+  // it is spent. Requests made with the admin key are not charged.
+  const chargeRateLimit = async (request, reply) => {
+    const cost = request.routeOptions.config.cost || 1;
+    const rate = await limits.consume(request.instance.id, cost);
+    if (rate.limit) {
+      reply.header('X-RateLimit-Limit', rate.limit);
+      if (rate.remaining !== null) reply.header('X-RateLimit-Remaining', rate.remaining);
+      reply.header('X-RateLimit-Reset', Math.ceil(rate.resetAt.getTime() / 1000));
+    }
+    if (!rate.allowed) {
+      reply.header('Retry-After', Math.max(1, Math.ceil((rate.resetAt.getTime() - Date.now()) / 1000)));
+      reply.code(429).send({
+        error: 'Rate limit exceeded',
+        details: `This request costs ${cost} point(s) and ${rate.remaining} of ${rate.limit} are left this minute`
+      });
+    }
+  };
+
+  // Remaining shipment quotas of the instance, on the responses of routes that register shipments
+  const setQuotaHeaders = (reply, quota) => {
+    for (const [period, { limit, remaining }] of Object.entries(quota)) {
+      if (!limit) continue;
+      const name = period === 'daily' ? 'Daily' : 'Monthly';
+      reply.header(`X-Quota-${name}-Limit`, limit);
+      reply.header(`X-Quota-${name}-Remaining`, remaining);
+    }
+  };
+
+  // Reply 423 when another operation holds the instance page. Returns true if the reply was sent.
+  const replyIfBusy = (err, reply) => {
+    if (!(err instanceof InstanceBusyError)) return false;
+    reply.code(423).send({ error: 'Instance is busy', details: err.message, busyWith: err.action });
+    return true;
+  };
+
+  // Replays the stored outcome of requests sent with an Idempotency-Key header.
+  // Must run after checkApiKey: keys are scoped per instance. Routes using it declare
+  // `config.idempotent` so replays are not charged against the rate limit.
+  const checkIdempotencyKey = async (request, reply) => {
+    const key = request.headers['idempotency-key'];
+    if (!key || reply.sent || !request.instance) return;
+
+    const requestHash = idempotency.hashRequest(request.routeOptions.url, request.body);
+    const claim = await idempotency.begin(request.instance.id, key, requestHash);
+
+    if (claim.state === 'replay') {
+      reply.code(claim.statusCode).header('idempotent-replayed', 'true').send(claim.response);
+      return reply;
+    }
+
+    if (claim.state === 'mismatch') {
+      reply.code(422).send({ error: 'Idempotency-Key was already used with a different request' });
+      return reply;
+    }
+
+    if (claim.state === 'processing') {
+      reply.code(409).send({ error: 'A request with this Idempotency-Key is still in progress' });
+      return reply;
+    }
+
+    request.idempotencyKey = key;
+    request.stopIdempotencyHold = idempotency.hold(request.instance.id, key);
+    // A 429 here releases the key again (see the onResponse hook below)
+    if (!request.isAdmin) await chargeRateLimit(request, reply);
+  };
+
+  // Store the outcome of requests that claimed an Idempotency-Key. The payload is captured in a
+  // synchronous onSend (an async one would delay routes that send without returning the reply)
+  // and written once the response is out. Only successes and deterministic rejections (400, 409)
+  // are replayed; any other failure (Shalom rejecting the shipment, busy instance, rate limit,
+  // server errors) releases the key so the client can retry with it.
+  fastify.addHook('onSend', (request, reply, payload, done) => {
+    if (request.idempotencyKey) request.idempotencyPayload = payload;
+    if (reply.statusCode >= 400 && typeof payload === 'string') request.errorPayload = payload;
+    done(null, payload);
+  });
+
+  fastify.addHook('onResponse', async (request, reply) => {
+    if (!request.idempotencyKey) return;
+    request.stopIdempotencyHold();
+
+    const { statusCode } = reply;
+    try {
+      const replayable = (statusCode >= 200 && statusCode < 300) || statusCode === 400 || statusCode === 409;
+      if (!replayable) {
+        await idempotency.release(request.instance.id, request.idempotencyKey);
+      } else {
+        const response = request.idempotencyPayload ? JSON.parse(request.idempotencyPayload) : null;
+        await idempotency.complete(request.instance.id, request.idempotencyKey, statusCode, response);
+      }
+    } catch (err) {
+      request.log.error(`Failed to store idempotency key ${request.idempotencyKey}: ${err.message}`);
+    }
+  });
+
+  // Audit log of every API request (the health check and the docs are left out)
+  fastify.addHook('onResponse', async (request, reply) => {
+    const route = request.routeOptions.url;
+    if (!route || route === '/' || route.startsWith('/docs')) return;
+
+    let error = null;
+    if (request.errorPayload) {
+      try {
+        const body = JSON.parse(request.errorPayload);
+        error = [body.error, body.details].filter(Boolean).join(': ').slice(0, 500) || null;
+      } catch {
+        error = request.errorPayload.slice(0, 500);
+      }
+    }
+
+    const source = [request.params, request.body, request.query].find(p => p && typeof p.instanceId === 'string');
+    const instanceId = request.instance ? request.instance.id : source ? source.instanceId : null;
+
+    await auditLog.record({
+      // Tenant entries without actorKeyId were made with the instance's own API key
+      actorType: request.isAdmin ? 'admin' : request.instance || request.apiKey ? 'tenant' : 'anonymous',
+      actorKeyId: request.apiKey ? request.apiKey.id : null,
+      instanceId,
+      action: `${request.method} ${route}`,
+      request: auditLog.summarize(request),
+      statusCode: reply.statusCode,
+      error,
+      ip: request.ip,
+      durationMs: Math.round(reply.elapsedTime)
+    });
+  });
+
+  // v2 routes take the instance from the path (/instances/:instanceId/...). Routes declaring `config.v2`
+  // are registered again at that method and URL once every route is declared, and the original
+  // route, with instanceId in the body or query string, stays as a deprecated alias.
+  const v2Routes = [];
+
+  const withoutInstanceId = (part) => {
+    if (!part || !part.properties || !part.properties.instanceId) return part;
+
+    const { instanceId, ...properties } = part.properties;
+    if (Object.keys(properties).length === 0) return undefined;
+
+    const result = { ...part, properties };
+    const required = (part.required || []).filter(name => name !== 'instanceId');
+    if (required.length > 0) result.required = required;
+    else delete result.required;
+    return result;
+  };
+
+  fastify.addHook('onRoute', (routeOptions) => {
+    const { v2, ...config } = routeOptions.config || {};
+    if (!v2 || routeOptions.method === 'HEAD') return;
+
+    const schema = routeOptions.schema || {};
+    const params = schema.params || { type: 'object', properties: {} };
+    const v2Schema = {
+      ...schema,
+      params: {
+        ...params,
+        properties: { instanceId: { type: 'string', description: 'ID de la instancia' }, ...params.properties },
+        required: ['instanceId', ...(params.required || [])]
+      }
+    };
+    const body = v2.method === 'GET' ? undefined : withoutInstanceId(schema.body);
+    const querystring = withoutInstanceId(schema.querystring);
+    if (body) v2Schema.body = body;
+    else delete v2Schema.body;
+    if (querystring) v2Schema.querystring = querystring;
+    else delete v2Schema.querystring;
+
+    v2Routes.push({
+      method: v2.method,
+      url: v2.url,
+      preHandler: routeOptions.preHandler,
+      config,
+      schema: v2Schema,
+      handler: routeOptions.handler
+    });
+
+    // Clients of the alias are pointed to the v2 route
+    routeOptions.schema = {
+      ...schema,
+      deprecated: true,
+      description: `${schema.description} Obsoleta: usar \`${v2.method} ${v2.url.replace(/:(\w+)/g, '{$1}')}\`.`
+    };
+    routeOptions.onSend = [].concat(routeOptions.onSend || [], (request, reply, payload, done) => {
+      const successor = v2.url
+        .replace(':instanceId', request.instance ? request.instance.id : '{instanceId}')
+        .replace(/:(\w+)/g, (match, name) => (request.params && request.params[name] ? encodeURIComponent(request.params[name]) : match));
+      reply.header('Deprecation', 'true');
+      reply.header('Link', `<${successor}>; rel="successor-version"`);
+      done(null, payload);
+    });
+  });
+
+  const idempotencyHeaderSchema = {
+    type: 'object',
+    properties: {
+      'idempotency-key': {
+        type: 'string',
+        maxLength: 255,
+        description: 'Clave única por intento lógico. Un reintento con la misma clave devuelve el resultado original si fue un éxito o un error 400/409; cualquier otro error libera la clave para reintentar.'
+      }
+    }
   };
 
   // Route: Create instance
@@ -202,7 +482,9 @@ const buildApp = async () => {
                   username: { type: 'string' },
                   createdAt: { type: 'string', format: 'date-time' },
                   lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
-                  inMemory: { type: 'boolean' }
+                  inMemory: { type: 'boolean' },
+                  dedicatedBrowser: { type: 'boolean' },
+                  browser: { type: 'string', nullable: true, description: 'Navegador que aloja el contexto si está abierto' }
                 }
               }
             }
@@ -218,6 +500,7 @@ const buildApp = async () => {
   // Route: Get status
   fastify.post('/status', {
     preHandler: checkApiKey,
+    config: { scope: 'read', v2: { method: 'GET', url: '/instances/:instanceId/status' } },
     schema: {
       tags: ['Authentication'],
       summary: 'Obtener estado de instancia',
@@ -236,7 +519,15 @@ const buildApp = async () => {
           properties: {
             isLoggedIn: { type: 'boolean' },
             username: { type: 'string', nullable: true },
-            url: { type: 'string' }
+            url: { type: 'string' },
+            autoLogin: { type: 'boolean', description: 'Hay credenciales guardadas para reconectar automáticamente' },
+            lastVerifiedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Última verificación de la sesión' },
+            sessionStatus: {
+              type: 'string',
+              nullable: true,
+              enum: ['active', 'renewed', 'expired', 'logged_out', 'error', null],
+              description: 'Resultado de la última verificación: activa, renovada con las credenciales guardadas, expirada, sin sesión o error'
+            }
           }
         }
       }
@@ -246,6 +537,7 @@ const buildApp = async () => {
       const status = await tenantManager.getStatus(request.instance.apiKey);
       return status;
     } catch (err) {
+      if (replyIfBusy(err, reply)) return;
       request.log.error(err);
       reply.code(500).send({ error: 'Failed to get status', details: err.message });
     }
@@ -254,10 +546,11 @@ const buildApp = async () => {
   // Route: Login
   fastify.post('/login', {
     preHandler: checkApiKey,
+    config: { scope: 'admin', cost: 5, v2: { method: 'POST', url: '/instances/:instanceId/login' } },
     schema: {
       tags: ['Authentication'],
       summary: 'Iniciar sesión',
-      description: 'Realiza el inicio de sesión automático en Shalom Pro.',
+      description: 'Realiza el inicio de sesión automático en Shalom Pro. Si ya hay una sesión de otro usuario responde 409 (cerrar sesión primero); con rememberCredentials las credenciales se comprueban en Shalom antes de guardarlas.',
       security: [{ ApiKeyAuth: [] }],
       body: {
         type: 'object',
@@ -266,7 +559,12 @@ const buildApp = async () => {
           instanceId: { type: 'string', description: 'ID de la instancia' },
           username: { type: 'string', description: 'Usuario/Email para iniciar sesión' },
           password: { type: 'string', description: 'Contraseña del usuario' },
-          retries: { type: 'number', default: 3, description: 'Número de reintentos' }
+          retries: { type: 'number', default: 3, description: 'Número de reintentos' },
+          rememberCredentials: {
+            type: 'boolean',
+            default: false,
+            description: 'Guardar las credenciales (cifradas) para iniciar sesión automáticamente si la sesión expira'
+          }
         }
       },
       response: {
@@ -281,7 +579,7 @@ const buildApp = async () => {
       }
     }
   }, async (request, reply) => {
-    const { username, password, retries } = request.body || {};
+    const { username, password, retries, rememberCredentials } = request.body || {};
 
     if (!username || !password) {
       reply.code(400).send({ error: 'Username and password are required' });
@@ -289,15 +587,17 @@ const buildApp = async () => {
     }
 
     try {
-      const result = await tenantManager.login(request.instance.apiKey, username, password, retries || 3);
+      const result = await tenantManager.login(request.instance.apiKey, username, password, retries || 3, rememberCredentials);
 
       if (!result.success) {
-        reply.code(401).send(result);
+        // 409 when another user holds the session, 401 when the credentials were rejected
+        reply.code(result.conflict ? 409 : 401).send(result);
         return;
       }
 
       return result;
     } catch (err) {
+      if (replyIfBusy(err, reply)) return;
       request.log.error(err);
       reply.code(500).send({ error: 'Login execution failed', details: err.message });
     }
@@ -306,6 +606,7 @@ const buildApp = async () => {
   // Route: Logout
   fastify.post('/logout', {
     preHandler: checkApiKey,
+    config: { scope: 'admin', v2: { method: 'POST', url: '/instances/:instanceId/logout' } },
     schema: {
       tags: ['Authentication'],
       summary: 'Cerrar sesión',
@@ -333,14 +634,51 @@ const buildApp = async () => {
       const result = await tenantManager.logout(request.instance.apiKey);
       return result;
     } catch (err) {
+      if (replyIfBusy(err, reply)) return;
       request.log.error(err);
       reply.code(500).send({ error: 'Logout failed', details: err.message });
     }
   });
 
+  // Route: Forget stored credentials
+  fastify.delete('/credentials', {
+    preHandler: checkApiKey,
+    config: { scope: 'admin', v2: { method: 'DELETE', url: '/instances/:instanceId/credentials' } },
+    schema: {
+      tags: ['Authentication'],
+      summary: 'Olvidar credenciales guardadas',
+      description: 'Elimina la contraseña guardada con rememberCredentials. La sesión actual sigue activa, pero ya no se reconectará automáticamente.',
+      security: [{ ApiKeyAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['instanceId'],
+        properties: {
+          instanceId: { type: 'string', description: 'ID de la instancia' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      return await tenantManager.forgetCredentials(request.instance.apiKey);
+    } catch (err) {
+      request.log.error(err);
+      reply.code(500).send({ error: 'Failed to remove credentials', details: err.message });
+    }
+  });
+
   // Route: Delete instance
   fastify.delete('/instances', {
     preHandler: checkApiKey,
+    config: { scope: 'admin', v2: { method: 'DELETE', url: '/instances/:instanceId' } },
     schema: {
       tags: ['Instances'],
       summary: 'Eliminar instancia',
@@ -366,124 +704,1744 @@ const buildApp = async () => {
   }, async (request, reply) => {
     try {
       await tenantManager.closeInstance(request.instance.apiKey);
+      await jobQueue.removeInstance(request.instance.id);
+      await webhooks.dispatch(request.instance.id, 'instance.deleted', { deletedAt: new Date().toISOString() });
+      await webhooks.removeInstance(request.instance.id);
+      await apiKeys.removeInstance(request.instance.id);
       return { status: 'closed', message: 'Instance closed successfully' };
     } catch (err) {
+      if (replyIfBusy(err, reply)) return;
       request.log.error(err);
       reply.code(500).send({ error: 'Failed to close instance' });
     }
   });
 
 
+  // Route: Dedicated browser for an instance
+  fastify.put('/instances/browser', {
+    preHandler: checkAdminApiKey,
+    schema: {
+      tags: ['Instances'],
+      summary: 'Asignar navegador dedicado',
+      description: 'Mueve la instancia a un proceso de navegador propio o la devuelve al pool compartido. Si el contexto está abierto se reabre en el nuevo navegador conservando la sesión. Requiere Admin API Key.',
+      security: [{ ApiKeyAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['instanceId', 'dedicated'],
+        properties: {
+          instanceId: { type: 'string', description: 'ID de la instancia' },
+          dedicated: { type: 'boolean', description: 'true para un navegador dedicado, false para el pool compartido' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            instanceId: { type: 'string' },
+            dedicatedBrowser: { type: 'boolean' },
+            browser: { type: 'string', nullable: true }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { instanceId, dedicated } = request.body;
+    try {
+      const result = await tenantManager.setDedicatedBrowser(instanceId, dedicated);
+      if (!result) {
+        return reply.code(404).send({ error: 'Instance not found' });
+      }
+      return result;
+    } catch (err) {
+      if (replyIfBusy(err, reply)) return;
+      request.log.error(err);
+      reply.code(500).send({ error: 'Failed to change instance browser', details: err.message });
+    }
+  });
 
-  const { generateMassiveShipmentExcel } = require('./utils/excel');
-
-  const fs = require('fs');
+  // Route: Browser pool metrics
+  fastify.get('/browsers', {
+    preHandler: checkAdminApiKey,
+    schema: {
+      tags: ['Instances'],
+      summary: 'Estado del pool de navegadores',
+      description: 'Devuelve los procesos de navegador (compartidos y dedicados) con sus contextos abiertos, ocupados y caídas. Requiere Admin API Key.',
+      security: [{ ApiKeyAuth: [] }],
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            size: { type: 'integer', description: 'Navegadores compartidos' },
+            strategy: { type: 'string', enum: ['least-load', 'sticky'] },
+            status: { type: 'string', enum: ['connected', 'degraded', 'recovering', 'disconnected'] },
+            browsers: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string', example: 'shared-0' },
+                  dedicatedTo: { type: 'string', nullable: true },
+                  status: { type: 'string', enum: ['connected', 'recovering', 'disconnected'] },
+                  contexts: { type: 'integer' },
+                  busy: { type: 'integer' },
+                  crashes: { type: 'integer' },
+                  launchedAt: { type: 'string', format: 'date-time', nullable: true },
+                  lastCrashAt: { type: 'string', format: 'date-time', nullable: true },
+                  lastRecoveryAt: { type: 'string', format: 'date-time', nullable: true }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    return tenantManager.getBrowserPool();
+  });
 
-  // Route: Register massive shipment
-  fastify.post('/register', {
-    preHandler: checkApiKey,
+  // Route: Audit log
+  fastify.get('/audit', {
+    preHandler: checkAdminApiKey,
     schema: {
-      tags: ['Shipments'],
-      summary: 'Registrar envíos masivos',
-      description: 'Registra envíos masivamente desde un archivo o datos JSON.',
+      tags: ['Audit'],
+      summary: 'Consultar registro de auditoría',
+      description: 'Lista las acciones registradas (más recientes primero): quién las hizo (`admin`, `tenant` o `anonymous`; `actorKeyId` identifica la API key con scopes, vacío si se usó la key principal de la instancia), la ruta, la instancia, los parámetros sin secretos y el resultado. Con `format=csv` devuelve un CSV con todas las coincidencias (hasta AUDIT_EXPORT_LIMIT filas). Requiere Admin API Key.',
       security: [{ ApiKeyAuth: [] }],
-      body: {
+      querystring: {
         type: 'object',
         properties: {
+          from: { type: 'string', format: 'date-time', description: 'Desde (inclusive)' },
+          to: { type: 'string', format: 'date-time', description: 'Hasta (inclusive)' },
           instanceId: { type: 'string', description: 'ID de la instancia' },
-          filePath: { type: 'string', description: 'Ruta del archivo (Opcional si se envía shipments)' },
-          shipments: { 
-            type: 'array', 
-            description: 'Lista de envíos para generar Excel (Opcional si se envía filePath)',
-            items: {
-              type: 'object',
-              properties: {
-                recipientDoc: { type: 'string' },
-                recipientPhone: { type: 'string' },
-                contactDoc: { type: 'string' },
-                contactPhone: { type: 'string' },
-                grr: { type: 'string' },
-                origin: { type: 'string' },
-                destination: { type: 'string' },
-                content: { 
-                  type: 'string',
-                  enum: ['SOBRE', 'PAQUETE XXS', 'PAQUETE XS', 'PAQUETE S', 'PAQUETE M', 'PAQUETE L', 'CAJA', 'BULTO']
-                },
-                height: { type: 'number' },
-                width: { type: 'number' },
-                length: { type: 'number' },
-                weight: { type: 'number' },
-                quantity: { type: 'number' }
+          action: { type: 'string', description: 'Texto contenido en la acción, p. ej. "DELETE /instances"' },
+          actorType: { type: 'string', enum: ['admin', 'tenant', 'anonymous'] },
+          actorKeyId: { type: 'string', description: 'ID de la API key con scopes' },
+          outcome: { type: 'string', enum: ['success', 'failure', 'denied'] },
+          format: { type: 'string', enum: ['json', 'csv'], default: 'json' },
+          page: { type: 'integer', minimum: 1, default: 1 },
+          pageSize: { type: 'integer', minimum: 1, maximum: 200, default: 50 }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            page: { type: 'integer' },
+            pageSize: { type: 'integer' },
+            entries: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  createdAt: { type: 'string', format: 'date-time' },
+                  actorType: { type: 'string' },
+                  actorKeyId: { type: 'string', nullable: true },
+                  instanceId: { type: 'string', nullable: true },
+                  action: { type: 'string', example: 'POST /register' },
+                  request: { type: 'object', additionalProperties: true },
+                  statusCode: { type: 'integer' },
+                  outcome: { type: 'string' },
+                  error: { type: 'string', nullable: true },
+                  ip: { type: 'string', nullable: true },
+                  durationMs: { type: 'integer', nullable: true }
+                }
               }
             }
-          },
-          securityCode: { type: 'string' }
+          }
         }
       }
     }
   }, async (request, reply) => {
-    let { filePath, shipments, securityCode } = request.body;
-    let generatedFilePath = null;
+    const { format, ...filters } = request.query;
 
-    if (securityCode) {
-      const pin = String(securityCode);
-      const ascending = "0123456789";
-      const descending = "9876543210";
-      
-      if (pin.length === 4 && (ascending.includes(pin) || descending.includes(pin))) {
-        reply.code(400).send({ error: 'Security code cannot be a sequence of 4 consecutive digits (e.g. 1234, 4321)' });
-        return;
+    try {
+      if (format === 'csv') {
+        const csv = await auditLog.exportCsv(filters);
+        const date = new Date().toISOString().slice(0, 10);
+        return reply
+          .header('content-type', 'text/csv; charset=utf-8')
+          .header('content-disposition', `attachment; filename="audit-${date}.csv"`)
+          .send(csv);
+      }
+      return await auditLog.list(filters);
+    } catch (err) {
+      request.log.error(err);
+      reply.code(500).send({ error: 'Failed to read audit log', details: err.message });
+    }
+  });
+
+
+  const apiKeySchema = {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      instanceId: { type: 'string' },
+      name: { type: 'string', nullable: true },
+      prefix: { type: 'string', description: 'Primeros caracteres de la key, para identificarla' },
+      scopes: { type: 'array', items: { type: 'string' } },
+      expiresAt: { type: 'string', format: 'date-time', nullable: true },
+      lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  };
+
+  const instanceParamsSchema = {
+    type: 'object',
+    properties: {
+      instanceId: { type: 'string', description: 'ID de la instancia' }
+    }
+  };
+
+  // Route: Create API key
+  fastify.post('/instances/:instanceId/keys', {
+    preHandler: checkApiKey,
+    config: { scope: 'admin' },
+    schema: {
+      tags: ['Instances'],
+      summary: 'Crear API key',
+      description: 'Crea una API key adicional para la instancia limitada a los scopes indicados: `read` (estado, historial, tracking, pendientes, jobs y catálogo), `register` (registrar, cotizar, validar y anular envíos) o `admin` (todo). La key solo se muestra en esta respuesta.',
+      security: [{ ApiKeyAuth: [] }],
+      params: instanceParamsSchema,
+      body: {
+        type: 'object',
+        required: ['scopes'],
+        properties: {
+          name: { type: 'string', maxLength: 100, description: 'Nombre para identificar la key' },
+          scopes: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', enum: apiKeys.scopes }
+          },
+          expiresAt: { type: 'string', format: 'date-time', description: 'Fecha de expiración (opcional)' }
+        }
+      },
+      response: {
+        201: {
+          type: 'object',
+          properties: {
+            ...apiKeySchema.properties,
+            key: { type: 'string', description: 'API key. Solo se muestra al crearla.' }
+          }
+        }
       }
     }
+  }, async (request, reply) => {
+    const { name, scopes, expiresAt } = request.body;
 
-    if (!filePath && !shipments) {
-      reply.code(400).send({ error: 'Either filePath or shipments must be provided' });
+    if (expiresAt && new Date(expiresAt).getTime() <= Date.now()) {
+      reply.code(400).send({ error: 'expiresAt must be in the future' });
       return;
     }
 
     try {
-      if (shipments && shipments.length > 0) {
-        // Generate Excel from shipments
-        filePath = generateMassiveShipmentExcel(shipments);
-        generatedFilePath = filePath;
-        request.log.info(`Generated Excel file at: ${filePath}`);
-      }
+      const key = await apiKeys.create(request.instance.id, { name, scopes, expiresAt });
+      reply.code(201).send(key);
+    } catch (err) {
+      request.log.error(err);
+      reply.code(500).send({ error: 'Failed to create API key', details: err.message });
+    }
+  });
 
-      const result = await tenantManager.registerMassiveShipment(request.instance.apiKey, filePath, securityCode);
-      return result;
+  // Route: List API keys
+  fastify.get('/instances/:instanceId/keys', {
+    preHandler: checkApiKey,
+    config: { scope: 'admin' },
+    schema: {
+      tags: ['Instances'],
+      summary: 'Listar API keys',
+      description: 'Lista las API keys adicionales de la instancia, sin su valor.',
+      security: [{ ApiKeyAuth: [] }],
+      params: instanceParamsSchema,
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            keys: { type: 'array', items: apiKeySchema }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      return { keys: await apiKeys.list(request.instance.id) };
     } catch (err) {
       request.log.error(err);
-      const isDebug = process.env.DEBUG === 'true';
-      const errorResponse = isDebug 
-        ? { error: err.message, stack: err.stack } 
-        : { error: 'Ocurrió un error. Por favor intente nuevamente.' };
-      reply.code(500).send(errorResponse);
-    } finally {
-      // Clean up generated file
-      if (generatedFilePath && fs.existsSync(generatedFilePath)) {
-        try {
-          fs.unlinkSync(generatedFilePath);
-          request.log.info(`Cleaned up generated file: ${generatedFilePath}`);
-        } catch (cleanupErr) {
-          request.log.error(`Failed to cleanup file ${generatedFilePath}: ${cleanupErr.message}`);
+      reply.code(500).send({ error: 'Failed to list API keys', details: err.message });
+    }
+  });
+
+  // Route: Revoke API key
+  fastify.delete('/instances/:instanceId/keys/:keyId', {
+    preHandler: checkApiKey,
+    config: { scope: 'admin' },
+    schema: {
+      tags: ['Instances'],
+      summary: 'Revocar API key',
+      description: 'Revoca una API key adicional; deja de funcionar de inmediato.',
+      security: [{ ApiKeyAuth: [] }],
+      params: {
+        type: 'object',
+        properties: {
+          instanceId: { type: 'string', description: 'ID de la instancia' },
+          keyId: { type: 'string', description: 'ID de la API key' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', example: 'revoked' }
+          }
         }
       }
     }
+  }, async (request, reply) => {
+    try {
+      const revoked = await apiKeys.revoke(request.instance.id, request.params.keyId);
+      if (!revoked) {
+        reply.code(404).send({ error: 'API key not found' });
+        return;
+      }
+      return { status: 'revoked' };
+    } catch (err) {
+      request.log.error(err);
+      reply.code(500).send({ error: 'Failed to revoke API key', details: err.message });
+    }
   });
 
+  // Route: Rotate the instance API key
+  fastify.post('/instances/:instanceId/keys/primary/rotate', {
+    preHandler: checkApiKey,
+    config: { scope: 'admin' },
+    schema: {
+      tags: ['Instances'],
+      summary: 'Rotar API key principal',
+      description: 'Genera una nueva API key principal para la instancia (acceso completo). La anterior deja de funcionar de inmediato; la sesión de Shalom se conserva.',
+      security: [{ ApiKeyAuth: [] }],
+      params: instanceParamsSchema,
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            instanceId: { type: 'string' },
+            apiKey: { type: 'string' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const apiKey = await tenantManager.rotateApiKey(request.instance.id);
+      return { instanceId: request.instance.id, apiKey };
+    } catch (err) {
+      if (replyIfBusy(err, reply)) return;
+      request.log.error(err);
+      reply.code(500).send({ error: 'Failed to rotate API key', details: err.message });
+    }
+  });
+
+  const limitsSchema = {
+    type: 'object',
+    properties: {
+      instanceId: { type: 'string' },
+      rateLimitPerMinute: { type: 'integer', description: 'Puntos por minuto (0 = sin límite)' },
+      dailyShipmentQuota: { type: 'integer', description: 'Envíos masivos por día UTC (0 = sin límite)' },
+      monthlyShipmentQuota: { type: 'integer', description: 'Envíos masivos por mes UTC (0 = sin límite)' },
+      overrides: {
+        type: 'object',
+        description: 'Valores propios de la instancia (null = valor por defecto del servidor)',
+        properties: {
+          rateLimitPerMinute: { type: 'integer', nullable: true },
+          dailyShipmentQuota: { type: 'integer', nullable: true },
+          monthlyShipmentQuota: { type: 'integer', nullable: true }
+        }
+      },
+      quota: {
+        type: 'object',
+        properties: Object.fromEntries(['daily', 'monthly'].map(period => [period, {
+          type: 'object',
+          properties: {
+            limit: { type: 'integer' },
+            used: { type: 'integer' },
+            remaining: { type: 'integer', nullable: true },
+            resetAt: { type: 'string', format: 'date-time' }
+          }
+        }]))
+      }
+    }
+  };
+
+  const limitsResponse = async (instanceId, limitValues) => {
+    const { rateLimitPerMinute, dailyShipmentQuota, monthlyShipmentQuota, overrides } = limitValues;
+    const quota = await limits.getQuota(instanceId);
+    return { instanceId, rateLimitPerMinute, dailyShipmentQuota, monthlyShipmentQuota, overrides, quota };
+  };
+
+  // Route: Instance limits
+  fastify.get('/instances/:instanceId/limits', {
+    preHandler: checkAdminApiKey,
+    schema: {
+      tags: ['Instances'],
+      summary: 'Consultar límites de la instancia',
+      description: 'Devuelve el límite de peticiones por minuto (en puntos: cada ruta tiene un costo según su carga) y las cuotas diaria y mensual de envíos masivos, con su consumo actual. Requiere Admin API Key.',
+      security: [{ ApiKeyAuth: [] }],
+      params: instanceParamsSchema,
+      response: { 200: limitsSchema }
+    }
+  }, async (request, reply) => {
+    const { instanceId } = request.params;
+    const values = await limits.getLimits(instanceId);
+    if (!values) {
+      return reply.code(404).send({ error: 'Instance not found' });
+    }
+    return limitsResponse(instanceId, values);
+  });
+
+  // Route: Update instance limits
+  fastify.put('/instances/:instanceId/limits', {
+    preHandler: checkAdminApiKey,
+    schema: {
+      tags: ['Instances'],
+      summary: 'Modificar límites de la instancia',
+      description: 'Cambia los límites de la instancia. Solo se modifican los campos enviados; null vuelve al valor por defecto del servidor y 0 quita el límite. Requiere Admin API Key.',
+      security: [{ ApiKeyAuth: [] }],
+      params: instanceParamsSchema,
+      body: {
+        type: 'object',
+        minProperties: 1,
+        properties: {
+          rateLimitPerMinute: { type: 'integer', minimum: 0, nullable: true },
+          dailyShipmentQuota: { type: 'integer', minimum: 0, nullable: true },
+          monthlyShipmentQuota: { type: 'integer', minimum: 0, nullable: true }
+        }
+      },
+      response: { 200: limitsSchema }
+    }
+  }, async (request, reply) => {
+    const { instanceId } = request.params;
+    try {
+      const values = await limits.update(instanceId, request.body);
+      if (!values) {
+        return reply.code(404).send({ error: 'Instance not found' });
+      }
+      return limitsResponse(instanceId, values);
+    } catch (err) {
+      request.log.error(err);
+      reply.code(500).send({ error: 'Failed to update limits', details: err.message });
+    }
+  });
+
+
+  const webhookSchema = {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      instanceId: { type: 'string' },
+      url: { type: 'string' },
+      events: { type: 'array', items: { type: 'string' } },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  };
+
+  // Route: Create webhook
+  fastify.post('/webhooks', {
+    preHandler: checkApiKey,
+    config: { scope: 'admin', v2: { method: 'POST', url: '/instances/:instanceId/webhooks' } },
+    schema: {
+      tags: ['Webhooks'],
+      summary: 'Crear webhook',
+      description: 'Suscribe una URL a eventos de la instancia. Cada notificación es un POST JSON firmado con HMAC-SHA256 sobre `<X-Webhook-Timestamp>.<body>` usando el secreto devuelto aquí (header X-Webhook-Signature: sha256=<hex>). Las entregas fallidas se reintentan con backoff exponencial.',
+      security: [{ ApiKeyAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['instanceId', 'url', 'events'],
+        properties: {
+          instanceId: { type: 'string', description: 'ID de la instancia' },
+          url: { type: 'string', pattern: '^https?://', description: 'URL pública que recibirá las notificaciones (no se aceptan direcciones locales ni privadas)' },
+          events: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', enum: webhooks.events },
+            description: 'Eventos a notificar'
+          }
+        }
+      },
+      response: {
+        201: {
+          type: 'object',
+          properties: {
+            ...webhookSchema.properties,
+            secret: { type: 'string', description: 'Secreto para verificar la firma. Solo se muestra al crear el webhook.' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { url, events } = request.body || {};
+
+    const invalidUrl = await webhooks.checkUrl(url);
+    if (invalidUrl) {
+      reply.code(400).send({ error: 'Invalid webhook URL', details: invalidUrl });
+      return;
+    }
+
+    try {
+      const webhook = await webhooks.create(request.instance.id, { url, events });
+      reply.code(201).send(webhook);
+    } catch (err) {
+      request.log.error(err);
+      reply.code(500).send({ error: 'Failed to create webhook', details: err.message });
+    }
+  });
+
+  // Route: List webhooks
+  fastify.get('/webhooks', {
+    preHandler: checkApiKey,
+    config: { scope: 'admin', v2: { method: 'GET', url: '/instances/:instanceId/webhooks' } },
+    schema: {
+      tags: ['Webhooks'],
+      summary: 'Listar webhooks',
+      description: 'Lista los webhooks de la instancia.',
+      security: [{ ApiKeyAuth: [] }],
+      querystring: {
+        type: 'object',
+        required: ['instanceId'],
+        properties: {
+          instanceId: { type: 'string', description: 'ID de la instancia' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            webhooks: { type: 'array', items: webhookSchema }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      return { webhooks: await webhooks.list(request.instance.id) };
+    } catch (err) {
+      request.log.error(err);
+      reply.code(500).send({ error: 'Failed to list webhooks', details: err.message });
+    }
+  });
+
+  // Route: Delete webhook
+  fastify.delete('/webhooks/:id', {
+    preHandler: checkApiKey,
+    config: { scope: 'admin', v2: { method: 'DELETE', url: '/instances/:instanceId/webhooks/:id' } },
+    schema: {
+      tags: ['Webhooks'],
+      summary: 'Eliminar webhook',
+      description: 'Elimina el webhook: deja de recibir eventos y su historial de entregas se conserva.',
+      security: [{ ApiKeyAuth: [] }],
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'ID del webhook' }
+        }
+      },
+      body: {
+        type: 'object',
+        required: ['instanceId'],
+        properties: {
+          instanceId: { type: 'string', description: 'ID de la instancia' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', example: 'deleted' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const deleted = await webhooks.remove(request.instance.id, request.params.id);
+      if (!deleted) {
+        reply.code(404).send({ error: 'Webhook not found' });
+        return;
+      }
+      return { status: 'deleted' };
+    } catch (err) {
+      request.log.error(err);
+      reply.code(500).send({ error: 'Failed to delete webhook', details: err.message });
+    }
+  });
+
+  // Route: Webhook delivery log
+  fastify.get('/webhooks/:id/deliveries', {
+    preHandler: checkApiKey,
+    config: { scope: 'admin', v2: { method: 'GET', url: '/instances/:instanceId/webhooks/:id/deliveries' } },
+    schema: {
+      tags: ['Webhooks'],
+      summary: 'Historial de entregas',
+      description: 'Lista las entregas del webhook, de la más reciente a la más antigua, con el número de intentos y la última respuesta del endpoint.',
+      security: [{ ApiKeyAuth: [] }],
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'ID del webhook' }
+        }
+      },
+      querystring: {
+        type: 'object',
+        required: ['instanceId'],
+        properties: {
+          instanceId: { type: 'string', description: 'ID de la instancia' },
+          status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+          page: { type: 'integer', minimum: 1, default: 1 },
+          pageSize: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            page: { type: 'integer' },
+            pageSize: { type: 'integer' },
+            deliveries: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  event: { type: 'string' },
+                  payload: { type: 'object', additionalProperties: true },
+                  status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+                  attempts: { type: 'integer' },
+                  responseStatus: { type: 'integer', nullable: true },
+                  error: { type: 'string', nullable: true },
+                  createdAt: { type: 'string', format: 'date-time' },
+                  lastAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+                  deliveredAt: { type: 'string', format: 'date-time', nullable: true }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const result = await webhooks.listDeliveries(request.instance.id, request.params.id, request.query);
+      if (!result) {
+        reply.code(404).send({ error: 'Webhook not found' });
+        return;
+      }
+      return result;
+    } catch (err) {
+      request.log.error(err);
+      reply.code(500).send({ error: 'Failed to list webhook deliveries', details: err.message });
+    }
+  });
+
+
+  const fs = require('fs');
+  const path = require('path');
+  const crypto = require('crypto');
+  const { readMassiveShipmentExcel, parseMassiveShipmentFile } = require('./utils/excel');
+  const { validateShipments, validateLocation } = require('./utils/validation');
+  const catalog = require('./utils/catalog');
+  const shipmentHistory = require('./shipmentHistory');
+
+  // Shalom rejects security codes made of 4 consecutive digits (e.g. 1234, 4321)
+  const SEQUENTIAL_PIN_ERROR = 'Security code cannot be a sequence of 4 consecutive digits (e.g. 1234, 4321)';
+  const isSequentialPin = (securityCode) => {
+    const pin = String(securityCode);
+    const ascending = "0123456789";
+    const descending = "9876543210";
+    return pin.length === 4 && (ascending.includes(pin) || descending.includes(pin));
+  };
+
+  const shipmentItemSchema = {
+    type: 'object',
+    properties: {
+      recipientDoc: { type: 'string' },
+      recipientPhone: { type: 'string' },
+      contactDoc: { type: 'string' },
+      contactPhone: { type: 'string' },
+      grr: { type: 'string' },
+      origin: { type: 'string' },
+      destination: { type: 'string' },
+      content: { 
+        type: 'string',
+        enum: ['SOBRE', 'PAQUETE XXS', 'PAQUETE XS', 'PAQUETE S', 'PAQUETE M', 'PAQUETE L', 'CAJA', 'BULTO']
+      },
+      height: { type: 'number' },
+      width: { type: 'number' },
+      length: { type: 'number' },
+      weight: { type: 'number' },
+      quantity: { type: 'number' }
+    }
+  };
+
+  const validationSchema = {
+    type: 'object',
+    properties: {
+      valid: { type: 'boolean' },
+      total: { type: 'integer' },
+      invalid: { type: 'integer' },
+      rows: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            row: { type: 'integer', description: 'Posición del envío (1 = primera fila de datos)' },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string' },
+                  message: { type: 'string' },
+                  suggestions: { type: 'array', items: { type: 'string' } }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+
+  const jobSchema = {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      instanceId: { type: 'string' },
+      status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'partial', 'failed'] },
+      result: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          message: { type: 'string' },
+          elapsed: { type: 'number' },
+          shipments: {
+            type: 'array',
+            description: 'Órdenes creadas por esta carga, asociadas a su fila de entrada',
+            items: {
+              type: 'object',
+              properties: {
+                orderNumber: { type: 'string' },
+                code: { type: 'string' },
+                cost: { type: 'string' },
+                row: { type: 'integer', description: 'Posición del envío en la carga (1 = primera fila de datos)' },
+                grr: { type: 'string', nullable: true },
+                recipientDoc: { type: 'string', nullable: true },
+                destination: { type: 'string', nullable: true },
+                matchedBy: { type: 'string', enum: ['grr', 'recipientDoc', 'destination', 'sequence'] }
+              }
+            }
+          },
+          unmatchedRows: {
+            type: 'array',
+            description: 'Filas de entrada sin orden asociada en Shalom',
+            items: {
+              type: 'object',
+              properties: {
+                row: { type: 'integer' },
+                grr: { type: 'string', nullable: true },
+                recipientDoc: { type: 'string', nullable: true },
+                destination: { type: 'string', nullable: true }
+              }
+            }
+          },
+          unmatchedOrders: {
+            type: 'array',
+            description: 'Órdenes nuevas que no se pudieron asociar a una fila',
+            items: {
+              type: 'object',
+              properties: {
+                orderNumber: { type: 'string' },
+                code: { type: 'string' },
+                cost: { type: 'string' }
+              }
+            }
+          },
+          failedChunks: { type: 'integer', description: 'Bloques que no se pudieron registrar' },
+          quotaExceeded: {
+            type: 'object',
+            nullable: true,
+            description: 'Cuota de envíos agotada: los bloques que no cabían no se subieron',
+            properties: {
+              period: { type: 'string', enum: ['daily', 'monthly'] },
+              limit: { type: 'integer' },
+              remaining: { type: 'integer' }
+            }
+          },
+          chunks: {
+            type: 'array',
+            description: 'Resultado de cada bloque cuando la carga se divide en varios archivos',
+            items: {
+              type: 'object',
+              properties: {
+                chunk: { type: 'integer' },
+                fromRow: { type: 'integer' },
+                toRow: { type: 'integer' },
+                success: { type: 'boolean' },
+                registered: { type: 'integer' },
+                error: { type: 'string', nullable: true },
+                quotaExceeded: { type: 'boolean' }
+              }
+            }
+          }
+        }
+      },
+      error: { type: 'string', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      startedAt: { type: 'string', format: 'date-time', nullable: true },
+      finishedAt: { type: 'string', format: 'date-time', nullable: true }
+    }
+  };
+
+  // filePath is only honoured inside UPLOAD_ALLOWED_DIR; returns the resolved path or null
+  const resolveAllowedFilePath = (filePath) => {
+    if (!process.env.UPLOAD_ALLOWED_DIR) return null;
+
+    const baseDir = path.resolve(process.env.UPLOAD_ALLOWED_DIR);
+    let resolved = path.resolve(baseDir, filePath);
+    // Follow symlinks so a link inside the directory cannot point outside of it
+    if (fs.existsSync(resolved)) resolved = fs.realpathSync(resolved);
+    const realBase = fs.existsSync(baseDir) ? fs.realpathSync(baseDir) : baseDir;
+
+    const relative = path.relative(realBase, resolved);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+    return resolved;
+  };
+
+  // Route: Register massive shipment
+  fastify.post('/register', {
+    preHandler: [checkApiKey, checkIdempotencyKey],
+    config: { scope: 'register', cost: 20, idempotent: true, v2: { method: 'POST', url: '/instances/:instanceId/register' } },
+    schema: {
+      tags: ['Shipments'],
+      summary: 'Registrar envíos masivos',
+      description: 'Encola el registro masivo de envíos desde un archivo subido (multipart/form-data, .xlsx o .csv con las columnas del Formato Pro Masivo) o datos JSON y devuelve el ID del job. Las cargas grandes se dividen en bloques de chunkSize filas que se suben uno tras otro; un bloque fallido no detiene los demás. El estado se consulta en GET /jobs/:id.',
+      security: [{ ApiKeyAuth: [] }],
+      consumes: ['application/json', 'multipart/form-data'],
+      headers: idempotencyHeaderSchema,
+      body: {
+        type: 'object',
+        properties: {
+          instanceId: { type: 'string', description: 'ID de la instancia' },
+          file: { description: 'Archivo .xlsx o .csv con el Formato Pro Masivo (solo multipart/form-data)' },
+          filePath: { type: 'string', description: 'Ruta de un archivo dentro de UPLOAD_ALLOWED_DIR en el servidor (deshabilitado si no está configurado)' },
+          shipments: { 
+            type: 'array', 
+            description: 'Lista de envíos para generar Excel (Opcional si se envía file o filePath)',
+            items: shipmentItemSchema
+          },
+          securityCode: { type: 'string' },
+          chunkSize: { type: 'integer', minimum: 1, maximum: 500, description: 'Filas por archivo subido a Shalom (por defecto MASSIVE_CHUNK_SIZE)' },
+          skipValidation: { type: 'boolean', default: false, description: 'Omitir la validación previa contra el catálogo de agencias' }
+        }
+      },
+      response: {
+        202: {
+          type: 'object',
+          properties: {
+            jobId: { type: 'string' },
+            status: { type: 'string', example: 'queued' },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { file, filePath, shipments, securityCode, skipValidation, chunkSize } = request.body || {};
+
+    if (securityCode && isSequentialPin(securityCode)) {
+      reply.code(400).send({ error: SEQUENTIAL_PIN_ERROR });
+      return;
+    }
+
+    const hasShipments = Array.isArray(shipments) && shipments.length > 0;
+
+    if (!file && !filePath && !hasShipments) {
+      reply.code(400).send({ error: 'Either file, filePath or shipments must be provided' });
+      return;
+    }
+
+    let rows;
+    let input;
+    let uploadPath = null;
+
+    if (hasShipments) {
+      rows = shipments;
+      input = { shipments };
+    } else if (file) {
+      if (!file.data) {
+        reply.code(400).send({ error: 'file must be uploaded as multipart/form-data' });
+        return;
+      }
+      if (!/\.(xlsx|csv)$/i.test(file.filename || '')) {
+        reply.code(400).send({ error: 'Unsupported file type', details: 'Only .xlsx and .csv files are accepted' });
+        return;
+      }
+
+      let sheet;
+      try {
+        sheet = parseMassiveShipmentFile(file.data, file.filename);
+      } catch (err) {
+        reply.code(400).send({ error: 'Unable to read file', details: err.message });
+        return;
+      }
+
+      if (sheet.missingColumns.length > 0) {
+        reply.code(400).send({
+          error: 'Malformed sheet',
+          details: `Missing columns: ${sheet.missingColumns.join(', ')}`,
+          missingColumns: sheet.missingColumns
+        });
+        return;
+      }
+      if (sheet.total === 0) {
+        reply.code(400).send({ error: 'Malformed sheet', details: 'The file has no shipment rows' });
+        return;
+      }
+      if (sheet.invalid > 0) {
+        const { valid, total, invalid, rows: invalidRows } = sheet;
+        reply.code(400).send({ error: 'Malformed sheet', valid, total, invalid, rows: invalidRows });
+        return;
+      }
+
+      // Uploaded sheets are queued as shipment data, the worker writes a clean Excel from it
+      rows = sheet.shipments;
+      input = { file: file.filename };
+    } else {
+      uploadPath = resolveAllowedFilePath(filePath);
+      if (!uploadPath) {
+        reply.code(400).send({
+          error: 'filePath is not allowed',
+          details: process.env.UPLOAD_ALLOWED_DIR ? 'The file must be inside UPLOAD_ALLOWED_DIR' : 'Upload the file as multipart/form-data instead'
+        });
+        return;
+      }
+
+      if (!fs.existsSync(uploadPath)) {
+        reply.code(400).send({ error: 'File not found', details: filePath });
+        return;
+      }
+
+      try {
+        rows = readMassiveShipmentExcel(uploadPath);
+      } catch (err) {
+        reply.code(400).send({ error: 'Unable to read file', details: err.message });
+        return;
+      }
+      input = { filePath };
+    }
+
+    if (!skipValidation) {
+      const validation = validateShipments(rows);
+      if (!validation.valid) {
+        reply.code(400).send({ error: 'Invalid shipments', ...validation });
+        return;
+      }
+    }
+
+    // Rejected upfront when the batch cannot fit; the worker counts the rows again as it uploads them
+    const quota = await limits.getQuota(request.instance.id);
+    setQuotaHeaders(reply, quota);
+    const exceeded = Object.entries(quota).find(([, { limit, remaining }]) => limit && rows.length > remaining);
+    if (exceeded) {
+      const [period, { limit, remaining, resetAt }] = exceeded;
+      reply.header('Retry-After', Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000)));
+      reply.code(429).send({
+        error: 'Shipment quota exceeded',
+        details: `The batch has ${rows.length} shipment(s) and ${remaining} of the ${period} quota of ${limit} are left`,
+        quota
+      });
+      return;
+    }
+
+    const recordId = await shipmentHistory.create({
+      instanceId: request.instance.id,
+      type: 'massive',
+      input,
+      shipments: rows
+    });
+
+    try {
+      // The Excel file is generated by the worker, so only the shipment data travels through Redis
+      const job = await jobQueue.enqueueRegister(request.instance.id, {
+        filePath: uploadPath,
+        shipments: uploadPath ? null : rows,
+        securityCode,
+        chunkSize,
+        recordId
+      });
+      await shipmentHistory.setJobId(recordId, job.id);
+      request.log.info(`Queued massive registration job ${job.id} for instance ${request.instance.id}`);
+
+      reply.code(202);
+      return { jobId: job.id, status: job.status, createdAt: job.createdAt };
+    } catch (err) {
+      request.log.error(err);
+      await shipmentHistory.fail(recordId, err.message);
+      reply.code(503).send({ error: 'Failed to queue registration', details: err.message });
+    }
+  });
+
+  // Route: Register single shipment
+  fastify.post('/shipments', {
+    preHandler: [checkApiKey, checkIdempotencyKey],
+    config: { scope: 'register', cost: 10, idempotent: true, v2: { method: 'POST', url: '/instances/:instanceId/shipments' } },
+    schema: {
+      tags: ['Shipments'],
+      summary: 'Registrar un envío',
+      description: 'Registra un único envío paso a paso en el asistente de Shalom Pro y devuelve el número de registro y el precio.',
+      security: [{ ApiKeyAuth: [] }],
+      headers: idempotencyHeaderSchema,
+      body: {
+        type: 'object',
+        required: ['instanceId', 'productType', 'origin', 'destination', 'recipient'],
+        properties: {
+          instanceId: { type: 'string', description: 'ID de la instancia' },
+          productType: {
+            type: 'string',
+            enum: ['sobre', 'xxs', 'xs', 's', 'm', 'l'],
+            description: 'Tipo de producto (sobre o tamaño de caja paquete)'
+          },
+          origin: { type: 'string', description: 'Agencia de origen tal como aparece en Shalom Pro' },
+          destination: { type: 'string', description: 'Agencia de destino tal como aparece en Shalom Pro' },
+          recipient: {
+            type: 'object',
+            required: ['documentNumber'],
+            properties: {
+              documentNumber: { type: 'string', description: 'DNI del destinatario' },
+              name: { type: 'string', description: 'Nombre (si Shalom no lo autocompleta)' },
+              phone: { type: 'string', description: 'Teléfono del destinatario' }
+            }
+          },
+          contentType: { type: 'string', default: 'Documentos', description: 'Contenido para la declaración jurada' },
+          securityCode: { type: 'string', pattern: '^[0-9]{4}$', description: 'Clave de seguridad de 4 dígitos' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            registrationNumber: { type: 'string', nullable: true, example: 'B123 - 456789' },
+            price: { type: 'number', nullable: true, example: 12.5 },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { productType, origin, destination, recipient, contentType, securityCode } = request.body || {};
+
+    if (securityCode && isSequentialPin(securityCode)) {
+      reply.code(400).send({ error: SEQUENTIAL_PIN_ERROR });
+      return;
+    }
+
+    const locationErrors = [validateLocation('origin', origin), validateLocation('destination', destination)].filter(Boolean);
+    if (locationErrors.length > 0) {
+      reply.code(400).send({ error: 'Invalid shipment', errors: locationErrors });
+      return;
+    }
+
+    const startedAt = new Date();
+    const recordId = await shipmentHistory.create({
+      instanceId: request.instance.id,
+      type: 'single',
+      status: 'running',
+      input: { productType, origin, destination, recipient, contentType },
+      shipments: [{ destination, recipient }]
+    });
+
+    try {
+      const result = await tenantManager.registerShipment(request.instance.apiKey, {
+        productType,
+        origin,
+        destination,
+        recipient,
+        contentType,
+        securityCode
+      });
+
+      if (!result.success) {
+        await shipmentHistory.fail(recordId, result.error || result.message, startedAt);
+        reply.code(422).send({ error: 'Shipment registration failed', details: result.error || result.message });
+        return;
+      }
+
+      await shipmentHistory.complete(recordId, { ...result, elapsed: Date.now() - startedAt }, result.registrationNumber ? [result.registrationNumber] : []);
+      return result;
+    } catch (err) {
+      await shipmentHistory.fail(recordId, err.message, startedAt);
+      if (replyIfBusy(err, reply)) return;
+      request.log.error(err);
+      reply.code(500).send({ error: 'Shipment registration failed', details: err.message });
+    }
+  });
+
+  // Route: List shipment history
+  fastify.get('/shipments', {
+    preHandler: checkApiKey,
+    config: { scope: 'read', v2: { method: 'GET', url: '/instances/:instanceId/shipments' } },
+    schema: {
+      tags: ['Shipments'],
+      summary: 'Historial de registros',
+      description: 'Lista los registros de envíos (masivos e individuales) de la instancia, del más reciente al más antiguo.',
+      security: [{ ApiKeyAuth: [] }],
+      querystring: {
+        type: 'object',
+        required: ['instanceId'],
+        properties: {
+          instanceId: { type: 'string', description: 'ID de la instancia' },
+          from: { type: 'string', format: 'date-time', description: 'Registrados desde' },
+          to: { type: 'string', format: 'date-time', description: 'Registrados hasta' },
+          status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'partial', 'failed'] },
+          destination: { type: 'string', description: 'Agencia de destino (label completo)' },
+          grr: { type: 'string', description: 'Número de GRR' },
+          orderNumber: { type: 'string', description: 'Número de orden o registro de Shalom' },
+          page: { type: 'integer', minimum: 1, default: 1 },
+          pageSize: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            page: { type: 'integer' },
+            pageSize: { type: 'integer' },
+            shipments: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  type: { type: 'string', enum: ['massive', 'single'] },
+                  status: { type: 'string' },
+                  jobId: { type: 'string', nullable: true },
+                  input: { type: 'object', additionalProperties: true },
+                  excelFile: { type: 'string', nullable: true },
+                  destinations: { type: 'array', items: { type: 'string' } },
+                  grrs: { type: 'array', items: { type: 'string' } },
+                  orderNumbers: { type: 'array', items: { type: 'string' } },
+                  result: { type: 'object', nullable: true, additionalProperties: true },
+                  error: { type: 'string', nullable: true },
+                  createdAt: { type: 'string', format: 'date-time' },
+                  startedAt: { type: 'string', format: 'date-time', nullable: true },
+                  finishedAt: { type: 'string', format: 'date-time', nullable: true },
+                  elapsedMs: { type: 'integer', nullable: true }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      return await shipmentHistory.list(request.instance.id, request.query);
+    } catch (err) {
+      request.log.error(err);
+      reply.code(500).send({ error: 'Failed to list shipments', details: err.message });
+    }
+  });
+
+  const { TRACKING_STATUSES, formatTracking } = require('./utils/tracking');
+  const TRACKING_CACHE_TTL_SECONDS = parseInt(process.env.TRACKING_CACHE_TTL_SECONDS, 10) || 300;
+
+  // Route: Shipment tracking
+  fastify.get('/shipments/:orderNumber/tracking', {
+    preHandler: checkApiKey,
+    config: { scope: 'read', cost: 3, v2: { method: 'GET', url: '/instances/:instanceId/shipments/:orderNumber/tracking' } },
+    schema: {
+      tags: ['Shipments'],
+      summary: 'Seguimiento de un envío',
+      description: 'Lee el estado actual y el historial de la orden desde la pantalla de rastreo de Shalom Pro. El resultado se guarda en caché unos minutos; usa refresh=true para consultarlo de nuevo.',
+      security: [{ ApiKeyAuth: [] }],
+      params: {
+        type: 'object',
+        properties: {
+          orderNumber: { type: 'string', pattern: '^[0-9]+$', description: 'N° de Orden de Shalom' }
+        }
+      },
+      querystring: {
+        type: 'object',
+        required: ['instanceId'],
+        properties: {
+          instanceId: { type: 'string', description: 'ID de la instancia' },
+          refresh: { type: 'boolean', default: false, description: 'Ignorar la caché' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            orderNumber: { type: 'string' },
+            code: { type: 'string', nullable: true },
+            status: { type: 'string', enum: TRACKING_STATUSES },
+            statusLabel: { type: 'string', nullable: true, description: 'Estado tal como lo muestra Shalom' },
+            origin: { type: 'string', nullable: true },
+            destination: { type: 'string', nullable: true },
+            timeline: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  status: { type: 'string', enum: TRACKING_STATUSES },
+                  label: { type: 'string' },
+                  date: { type: 'string', nullable: true, example: '15/03/2026 10:42 am' }
+                }
+              }
+            },
+            fetchedAt: { type: 'string', format: 'date-time' },
+            cached: { type: 'boolean' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { orderNumber } = request.params;
+    const cacheKey = `tracking:${request.instance.id}:${orderNumber}`;
+
+    if (fastify.redis && !request.query.refresh) {
+      try {
+        const cached = await fastify.redis.get(cacheKey);
+        if (cached) return { ...JSON.parse(cached), cached: true };
+      } catch (err) {
+        request.log.warn(`Tracking cache read failed: ${err.message}`);
+      }
+    }
+
+    try {
+      const raw = await tenantManager.getTracking(request.instance.apiKey, orderNumber);
+      if (!raw) {
+        reply.code(404).send({ error: 'Order not found', details: orderNumber });
+        return;
+      }
+
+      const tracking = { ...formatTracking(raw), fetchedAt: new Date().toISOString() };
+
+      if (fastify.redis) {
+        await fastify.redis.set(cacheKey, JSON.stringify(tracking), 'EX', TRACKING_CACHE_TTL_SECONDS)
+          .catch(err => request.log.warn(`Tracking cache write failed: ${err.message}`));
+      }
+
+      return { ...tracking, cached: false };
+    } catch (err) {
+      if (replyIfBusy(err, reply)) return;
+      request.log.error(err);
+      reply.code(500).send({ error: 'Failed to read tracking', details: err.message });
+    }
+  });
+
+  // Route: Pending requests held by Shalom
+  fastify.get('/shipments/pending', {
+    preHandler: checkApiKey,
+    config: { scope: 'read', cost: 3, v2: { method: 'GET', url: '/instances/:instanceId/shipments/pending' } },
+    schema: {
+      tags: ['Shipments'],
+      summary: 'Solicitudes pendientes en Shalom',
+      description: 'Lee las solicitudes listadas en Solicitudes pendientes de Shalom Pro, incluidas las eliminadas, para conciliarlas con el sistema propio. Destino y fecha son null cuando la tarjeta no los muestra.',
+      security: [{ ApiKeyAuth: [] }],
+      querystring: {
+        type: 'object',
+        required: ['instanceId'],
+        properties: {
+          instanceId: { type: 'string', description: 'ID de la instancia' },
+          deleted: { type: 'boolean', description: 'Filtrar por solicitudes eliminadas (true) o vigentes (false)' },
+          page: { type: 'integer', minimum: 1, default: 1 },
+          pageSize: { type: 'integer', minimum: 1, maximum: 200, default: 50 }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            page: { type: 'integer' },
+            pageSize: { type: 'integer' },
+            shipments: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  orderNumber: { type: 'string' },
+                  code: { type: 'string' },
+                  cost: { type: 'string' },
+                  deleted: { type: 'boolean' },
+                  destination: { type: 'string', nullable: true },
+                  date: { type: 'string', nullable: true, example: '15/03/2026' }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { deleted, page, pageSize } = request.query;
+
+    try {
+      let shipments = await tenantManager.listPendingShipments(request.instance.apiKey);
+      if (deleted !== undefined) shipments = shipments.filter(s => s.deleted === deleted);
+
+      return {
+        total: shipments.length,
+        page,
+        pageSize,
+        shipments: shipments.slice((page - 1) * pageSize, page * pageSize)
+      };
+    } catch (err) {
+      if (replyIfBusy(err, reply)) return;
+      request.log.error(err);
+      reply.code(500).send({ error: 'Failed to list pending shipments', details: err.message });
+    }
+  });
+
+  const cancelResultSchema = {
+    type: 'object',
+    properties: {
+      orderNumber: { type: 'string' },
+      status: { type: 'string', enum: ['cancelled', 'already_cancelled', 'not_found', 'not_cancellable', 'failed'] },
+      error: { type: 'string' }
+    }
+  };
+
+  // Route: Cancel pending shipment
+  fastify.delete('/shipments/:orderNumber', {
+    preHandler: checkApiKey,
+    config: { scope: 'register', cost: 5, v2: { method: 'DELETE', url: '/instances/:instanceId/shipments/:orderNumber' } },
+    schema: {
+      tags: ['Shipments'],
+      summary: 'Anular envío pendiente',
+      description: 'Elimina la solicitud en Solicitudes pendientes de Shalom Pro y verifica que quede marcada como eliminada. Devuelve 409 si la orden ya no se puede anular (por ejemplo, ya fue despachada).',
+      security: [{ ApiKeyAuth: [] }],
+      params: {
+        type: 'object',
+        properties: {
+          orderNumber: { type: 'string', pattern: '^[0-9]+$', description: 'N° de Orden de Shalom' }
+        }
+      },
+      body: {
+        type: 'object',
+        required: ['instanceId'],
+        properties: {
+          instanceId: { type: 'string', description: 'ID de la instancia' }
+        }
+      },
+      response: {
+        200: cancelResultSchema
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const [result] = await tenantManager.cancelPendingShipments(request.instance.apiKey, [request.params.orderNumber]);
+
+      if (result.status === 'not_found') {
+        reply.code(404).send({ error: 'Order not found', details: result.error });
+        return;
+      }
+      if (result.status === 'not_cancellable') {
+        reply.code(409).send({ error: 'Order can no longer be cancelled', details: result.error });
+        return;
+      }
+      if (result.status === 'failed') {
+        reply.code(500).send({ error: 'Failed to cancel shipment', details: result.error });
+        return;
+      }
+
+      return result;
+    } catch (err) {
+      if (replyIfBusy(err, reply)) return;
+      request.log.error(err);
+      reply.code(500).send({ error: 'Failed to cancel shipment', details: err.message });
+    }
+  });
+
+  // Route: Cancel pending shipments (bulk)
+  fastify.delete('/shipments', {
+    preHandler: checkApiKey,
+    config: { scope: 'register', cost: 5, v2: { method: 'POST', url: '/instances/:instanceId/shipments/cancel' } },
+    schema: {
+      tags: ['Shipments'],
+      summary: 'Anular varios envíos pendientes',
+      description: 'Anula varias solicitudes pendientes en una sola operación. Cada orden se reporta por separado; una orden que no se pudo anular no detiene las demás.',
+      security: [{ ApiKeyAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['instanceId', 'orderNumbers'],
+        properties: {
+          instanceId: { type: 'string', description: 'ID de la instancia' },
+          orderNumbers: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 50,
+            uniqueItems: true,
+            items: { type: 'string', pattern: '^[0-9]+$' },
+            description: 'N° de Orden de Shalom'
+          }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            cancelled: { type: 'integer', description: 'Órdenes anuladas o que ya estaban anuladas' },
+            failed: { type: 'integer' },
+            results: { type: 'array', items: cancelResultSchema }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const results = await tenantManager.cancelPendingShipments(request.instance.apiKey, (request.body || {}).orderNumbers);
+      const cancelled = results.filter(r => r.status === 'cancelled' || r.status === 'already_cancelled').length;
+
+      return { cancelled, failed: results.length - cancelled, results };
+    } catch (err) {
+      if (replyIfBusy(err, reply)) return;
+      request.log.error(err);
+      reply.code(500).send({ error: 'Failed to cancel shipments', details: err.message });
+    }
+  });
+
+  const QUOTE_CACHE_TTL_SECONDS = parseInt(process.env.QUOTE_CACHE_TTL_SECONDS, 10) || 3600;
+
+  // Route: Quote shipment
+  fastify.post('/quotes', {
+    preHandler: checkApiKey,
+    config: { scope: 'register', cost: 5, v2: { method: 'POST', url: '/instances/:instanceId/quotes' } },
+    schema: {
+      tags: ['Shipments'],
+      summary: 'Cotizar un envío',
+      description: 'Obtiene la tarifa que muestra Shalom Pro para el tipo de producto y la ruta, sin registrar el envío. Las cotizaciones idénticas se sirven desde caché.',
+      security: [{ ApiKeyAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['instanceId', 'productType', 'origin', 'destination'],
+        properties: {
+          instanceId: { type: 'string', description: 'ID de la instancia' },
+          productType: {
+            type: 'string',
+            enum: ['sobre', 'xxs', 'xs', 's', 'm', 'l', 'custom'],
+            description: 'Tipo de producto; custom requiere dimensions'
+          },
+          origin: { type: 'string', description: 'Agencia de origen tal como aparece en Shalom Pro' },
+          destination: { type: 'string', description: 'Agencia de destino tal como aparece en Shalom Pro' },
+          dimensions: {
+            type: 'object',
+            required: ['height', 'width', 'length', 'weight'],
+            properties: {
+              height: { type: 'number', exclusiveMinimum: 0, description: 'Alto (cm)' },
+              width: { type: 'number', exclusiveMinimum: 0, description: 'Ancho (cm)' },
+              length: { type: 'number', exclusiveMinimum: 0, description: 'Largo (cm)' },
+              weight: { type: 'number', exclusiveMinimum: 0, description: 'Peso (kg)' }
+            }
+          },
+          refresh: { type: 'boolean', default: false, description: 'Ignorar la caché' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            price: { type: 'number', example: 12.5 },
+            currency: { type: 'string', example: 'PEN' },
+            productType: { type: 'string' },
+            origin: { type: 'string' },
+            destination: { type: 'string' },
+            quotedAt: { type: 'string', format: 'date-time' },
+            cached: { type: 'boolean' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { productType, origin, destination, dimensions, refresh } = request.body || {};
+
+    if (productType === 'custom' && !dimensions) {
+      reply.code(400).send({ error: 'dimensions is required for custom products' });
+      return;
+    }
+
+    const locationErrors = [validateLocation('origin', origin), validateLocation('destination', destination)].filter(Boolean);
+    if (locationErrors.length > 0) {
+      reply.code(400).send({ error: 'Invalid quote', errors: locationErrors });
+      return;
+    }
+
+    // Locations are keyed by their catalog label so "yura" and the full label share a quote
+    const route = {
+      productType,
+      origin: catalog.findAgency(origin).agency.label,
+      destination: catalog.findAgency(destination).agency.label,
+      dimensions: productType === 'custom' ? dimensions : null
+    };
+    const cacheKey = `quote:${request.instance.id}:${crypto.createHash('sha256').update(JSON.stringify(route)).digest('hex')}`;
+
+    if (fastify.redis && !refresh) {
+      try {
+        const cached = await fastify.redis.get(cacheKey);
+        if (cached) return { ...JSON.parse(cached), cached: true };
+      } catch (err) {
+        request.log.warn(`Quote cache read failed: ${err.message}`);
+      }
+    }
+
+    try {
+      const result = await tenantManager.quoteShipment(request.instance.apiKey, {
+        productType,
+        origin: route.origin,
+        destination: route.destination,
+        dimensions
+      });
+
+      if (!result.success) {
+        reply.code(422).send({ error: 'Quote failed', details: result.message });
+        return;
+      }
+
+      const quote = {
+        price: result.price,
+        currency: result.currency,
+        productType,
+        origin: route.origin,
+        destination: route.destination,
+        quotedAt: new Date().toISOString()
+      };
+
+      if (fastify.redis) {
+        await fastify.redis.set(cacheKey, JSON.stringify(quote), 'EX', QUOTE_CACHE_TTL_SECONDS)
+          .catch(err => request.log.warn(`Quote cache write failed: ${err.message}`));
+      }
+
+      return { ...quote, cached: false };
+    } catch (err) {
+      if (replyIfBusy(err, reply)) return;
+      request.log.error(err);
+      reply.code(500).send({ error: 'Quote failed', details: err.message });
+    }
+  });
+
+  // Route: Validate shipments (dry run)
+  fastify.post('/shipments/validate', {
+    preHandler: checkApiKey,
+    config: { scope: 'register', v2: { method: 'POST', url: '/instances/:instanceId/shipments/validate' } },
+    schema: {
+      tags: ['Shipments'],
+      summary: 'Validar envíos sin registrarlos',
+      description: 'Valida cada envío contra el catálogo de agencias y los límites de tamaño/peso del tipo de producto, devolviendo los errores por fila y campo con sugerencias.',
+      security: [{ ApiKeyAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['instanceId', 'shipments'],
+        properties: {
+          instanceId: { type: 'string', description: 'ID de la instancia' },
+          shipments: { type: 'array', items: shipmentItemSchema }
+        }
+      },
+      response: {
+        200: validationSchema
+      }
+    }
+  }, async (request, reply) => {
+    return validateShipments((request.body || {}).shipments);
+  });
+
+  // Route: Get job status
+  fastify.get('/jobs/:id', {
+    preHandler: checkApiKey,
+    config: { scope: 'read', v2: { method: 'GET', url: '/instances/:instanceId/jobs/:id' } },
+    schema: {
+      tags: ['Shipments'],
+      summary: 'Consultar estado de un job',
+      description: 'Devuelve el estado (queued, running, succeeded, partial, failed) de un registro masivo encolado, con los envíos creados o el error. partial indica que algunos bloques no se pudieron registrar.',
+      security: [{ ApiKeyAuth: [] }],
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string', description: 'ID del job' }
+        }
+      },
+      querystring: {
+        type: 'object',
+        required: ['instanceId'],
+        properties: {
+          instanceId: { type: 'string', description: 'ID de la instancia' }
+        }
+      },
+      response: {
+        200: jobSchema
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const job = await jobQueue.getJob(request.instance.id, request.params.id);
+      if (!job) {
+        reply.code(404).send({ error: 'Job not found' });
+        return;
+      }
+      return job;
+    } catch (err) {
+      request.log.error(err);
+      reply.code(500).send({ error: 'Failed to get job', details: err.message });
+    }
+  });
+
+  const agencySchema = {
+    type: 'object',
+    properties: {
+      label: { type: 'string', example: 'AREQUIPA / AREQUIPA / AREQUIPA / AV PARRA 379 CO' },
+      department: { type: 'string' },
+      province: { type: 'string' },
+      district: { type: 'string' },
+      agency: { type: 'string' },
+      air: { type: 'boolean', description: 'Variante "- AEREO"' },
+      score: { type: 'number', description: 'Similitud con la búsqueda (1 = exacta)' }
+    }
+  };
+
+  // Route: Search agency catalog
+  fastify.get('/catalog/agencies', {
+    preHandler: checkApiKey,
+    config: { scope: 'read', v2: { method: 'GET', url: '/instances/:instanceId/catalog/agencies' } },
+    schema: {
+      tags: ['Catalog'],
+      summary: 'Buscar agencias',
+      description: 'Busca agencias de origen/destino (sin distinguir tildes ni mayúsculas, tolerante a errores de tipeo). El campo label es el texto exacto a usar en origin/destination.',
+      security: [{ ApiKeyAuth: [] }],
+      querystring: {
+        type: 'object',
+        required: ['instanceId'],
+        properties: {
+          instanceId: { type: 'string', description: 'ID de la instancia' },
+          q: { type: 'string', description: 'Texto a buscar (departamento, provincia, distrito o agencia)' },
+          air: { type: 'boolean', description: 'Filtrar por variante aérea' },
+          limit: { type: 'integer', minimum: 1, maximum: 500, default: 20 }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            updatedAt: { type: 'string', format: 'date-time', nullable: true },
+            agencies: { type: 'array', items: agencySchema }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { q, air, limit } = request.query;
+    const result = catalog.searchAgencies(q, { limit, air });
+    return { ...result, updatedAt: catalog.getUpdatedAt() };
+  });
+
+  // Route: Refresh agency catalog
+  // The catalog is shared by every instance, so only the server admin can replace it
+  fastify.post('/catalog/agencies/refresh', {
+    preHandler: checkAdminApiKey,
+    config: { v2: { method: 'POST', url: '/instances/:instanceId/catalog/agencies/refresh' } },
+    schema: {
+      tags: ['Catalog'],
+      summary: 'Actualizar catálogo de agencias',
+      description: 'Lee las opciones de Origen/Destino en Shalom Pro con la sesión de la instancia (debe estar logueada) y guarda el catálogo en la base de datos. El catálogo es común a todas las instancias. Requiere Admin API Key.',
+      security: [{ ApiKeyAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['instanceId'],
+        properties: {
+          instanceId: { type: 'string', description: 'ID de la instancia' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            total: { type: 'integer' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { instanceId } = request.params && request.params.instanceId ? request.params : request.body || {};
+    const instance = await tenantManager.getOrRestoreInstanceById(instanceId);
+    if (!instance) {
+      return reply.code(404).send({ error: 'Instance not found' });
+    }
+    request.instance = instance;
+
+    try {
+      const labels = await tenantManager.scrapeAgencies(instance.apiKey);
+      const total = await catalog.replaceAgencies(labels);
+      return { success: true, total, updatedAt: catalog.getUpdatedAt() };
+    } catch (err) {
+      if (replyIfBusy(err, reply)) return;
+      request.log.error(err);
+      reply.code(500).send({ error: 'Failed to refresh catalog', details: err.message });
+    }
+  });
+
+  for (const route of v2Routes) {
+    fastify.route(route);
+  }
+
   return fastify;
 };
 
 const start = async () => {
   try {
+    // Refuse to start rather than write passwords and sessions to the database unencrypted
+    require('./utils/crypto').assertEncryptionConfigured();
+
     const fastify = await buildApp();
     const tenantManager = require('./tenantManager');
+    const jobQueue = require('./jobQueue');
+    const webhooks = require('./webhooks');
+    const limits = require('./limits');
+    const catalog = require('./utils/catalog');
 
     // Initialize tenant manager (restore sessions from DB)
     await tenantManager.initialize();
 
+    // Load the agency catalog saved by the last refresh (falls back to the built-in list)
+    try {
+      const total = await catalog.loadAgencies();
+      console.log(`Agency catalog loaded with ${total} agencies`);
+    } catch (err) {
+      console.error('Failed to load agency catalog, using built-in list:', err.message);
+    }
+
+    // Start queue workers for every instance (resumes jobs queued before a restart)
+    const instances = await tenantManager.listInstances();
+    await jobQueue.initialize(instances.map(i => i.id));
+
+    // Start the webhook delivery worker (resumes pending deliveries)
+    await webhooks.initialize();
+
+    // Keep sessions alive and re-login with stored credentials before they are needed
+    tenantManager.startKeepAlive();
+
+    // Close contexts left idle; they are restored on their next request
+    tenantManager.startIdleEviction();
+
     // Register shutdown hook
     fastify.addHook('onClose', async () => {
+      await jobQueue.shutdown();
+      await webhooks.shutdown();
+      await limits.shutdown();
       await tenantManager.shutdown();
     });
 
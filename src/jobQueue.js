@@ -0,0 +1,394 @@
+const { Queue, Worker, UnrecoverableError } = require('bullmq');
+const IORedis = require('ioredis');
+const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
+const path = require('path');
+const tenantManager = require('./tenantManager');
+const shipmentHistory = require('./shipmentHistory');
+const webhooks = require('./webhooks');
+const { generateMassiveShipmentExcel } = require('./utils/excel');
+const { InstanceBusyError, QuotaExceededError } = require('./utils/errors');
+
+// Rows per uploaded workbook; larger batches are split and uploaded chunk by chunk
+const CHUNK_SIZE = parseInt(process.env.MASSIVE_CHUNK_SIZE, 10) || 100;
+
+// BullMQ job states mapped to the states exposed by the API
+const STATUS_MAP = {
+  waiting: 'queued',
+  'waiting-children': 'queued',
+  prioritized: 'queued',
+  delayed: 'queued',
+  active: 'running',
+  completed: 'succeeded',
+  failed: 'failed'
+};
+
+class JobQueue {
+  constructor() {
+    this.connection = null;
+    this.queues = new Map();
+    this.workers = new Map();
+    this.isShuttingDown = false;
+  }
+
+  // BullMQ needs its own connection: workers use blocking commands and require maxRetriesPerRequest = null,
+  // which is not compatible with the connection registered in Fastify
+  _getConnection() {
+    if (!this.connection) {
+      this.connection = new IORedis(process.env.REDIS_URL, { maxRetriesPerRequest: null });
+      this.connection.on('error', (err) => console.error('JobQueue Redis error:', err.message));
+    }
+    return this.connection;
+  }
+
+  // One queue per instance with a single-concurrency worker, so jobs of the same instance never overlap
+  _getQueue(instanceId) {
+    let queue = this.queues.get(instanceId);
+    if (queue) return queue;
+
+    const name = `register-${instanceId}`;
+    const connection = this._getConnection();
+
+    queue = new Queue(name, {
+      connection,
+      defaultJobOptions: {
+        // Only InstanceBusyError is retried (nothing was uploaded yet); any other failure is unrecoverable
+        attempts: 5,
+        backoff: { type: 'exponential', delay: 15000 },
+        removeOnComplete: { age: 24 * 3600 },
+        removeOnFail: { age: 7 * 24 * 3600 }
+      }
+    });
+
+    const worker = new Worker(name, job => this._process(job), {
+      connection,
+      concurrency: 1,
+      // A stalled job means the process died mid-upload; Shalom may already have created the orders,
+      // so the job is failed instead of being run again (see _failStalled)
+      maxStalledCount: 0
+    });
+
+    worker.on('failed', (job, err) => {
+      console.error(`[${instanceId}] Job ${job ? job.id : 'unknown'} failed:`, err.message);
+      // Stalled jobs are failed by BullMQ when picked up again, without running _process
+      if (job && job.deferredFailure) {
+        this._failStalled(job, err).catch(error => console.error(`[${instanceId}] Job ${job.id}: failed to record stall:`, error.message));
+      }
+    });
+    worker.on('error', (err) => {
+      console.error(`[${instanceId}] Worker error:`, err.message);
+    });
+
+    this.queues.set(instanceId, queue);
+    this.workers.set(instanceId, worker);
+    return queue;
+  }
+
+  // Start workers for existing instances so jobs queued before a restart are processed
+  async initialize(instanceIds) {
+    for (const instanceId of instanceIds) {
+      if (this.isShuttingDown) break;
+      this._getQueue(instanceId);
+    }
+    console.log(`JobQueue initialized with ${this.queues.size} worker(s)`);
+  }
+
+  async _process(job) {
+    const { instanceId, filePath, shipments, securityCode, recordId } = job.data;
+    const startedAt = new Date();
+
+    const instance = await tenantManager.getOrRestoreInstanceById(instanceId);
+    if (!instance) {
+      await shipmentHistory.fail(recordId, 'Instance not found');
+      throw new UnrecoverableError('Instance not found');
+    }
+
+    const chunks = shipments && shipments.length > 0
+      ? this._splitChunks(shipments, job.data.chunkSize || CHUNK_SIZE)
+      : [];
+    const generatedFiles = [];
+
+    try {
+      for (const chunk of chunks) {
+        chunk.file = generateMassiveShipmentExcel(chunk.shipments);
+        generatedFiles.push(chunk.file);
+      }
+      if (chunks.length > 0) {
+        console.log(`[${instanceId}] Job ${job.id}: generated ${chunks.length} Excel file(s) for ${shipments.length} shipment(s)`);
+      }
+
+      const excelFile = chunks.length > 0 ? chunks.map(c => path.basename(c.file)).join(', ') : path.basename(filePath);
+      await shipmentHistory.markRunning(recordId, { excelFile });
+
+      const result = chunks.length > 0
+        ? await this._registerChunks(job, instance, chunks, securityCode)
+        : await tenantManager.registerMassiveShipment(instance.apiKey, filePath, securityCode);
+
+      await this._complete(job, result);
+      return result;
+    } catch (error) {
+      const willRetry = error instanceof InstanceBusyError && this._willRetry(job);
+      if (willRetry) {
+        await shipmentHistory.requeue(recordId, error.message);
+        throw error;
+      }
+      await shipmentHistory.fail(recordId, error.message, startedAt);
+      await webhooks.dispatch(instanceId, 'batch.failed', {
+        jobId: job.id,
+        recordId,
+        error: error.message,
+        quotaExceeded: error instanceof QuotaExceededError ? this._quotaDetails(error) : null
+      });
+      throw new UnrecoverableError(error.message);
+    } finally {
+      for (const generatedFilePath of generatedFiles) {
+        if (!fs.existsSync(generatedFilePath)) continue;
+        try {
+          fs.unlinkSync(generatedFilePath);
+        } catch (cleanupErr) {
+          console.error(`Failed to cleanup file ${generatedFilePath}: ${cleanupErr.message}`);
+        }
+      }
+    }
+  }
+
+  // Some chunks failed: the batch is only partially registered (every chunk failing throws instead)
+  async _complete(job, result) {
+    const { instanceId, recordId } = job.data;
+    await shipmentHistory.complete(recordId, result, result.shipments.map(s => s.orderNumber));
+    await webhooks.dispatch(instanceId, result.failedChunks ? 'batch.partial' : 'batch.succeeded', {
+      jobId: job.id,
+      recordId,
+      message: result.message,
+      elapsed: result.elapsed,
+      shipments: result.shipments,
+      unmatchedRows: result.unmatchedRows || [],
+      unmatchedOrders: result.unmatchedOrders || [],
+      failedChunks: result.failedChunks || 0,
+      quotaExceeded: result.quotaExceeded || null,
+      chunks: result.chunks || []
+    });
+  }
+
+  /**
+   * Records a job that stalled mid-upload (the process died or the worker lost its lock). Chunks
+   * finished before are kept from the job data and the batch ends as partial; the unfinished ones
+   * are reported failed, although Shalom may have created some of their orders.
+   */
+  async _failStalled(job, error) {
+    const { instanceId, shipments, recordId } = job.data;
+    const chunks = shipments && shipments.length > 0
+      ? this._splitChunks(shipments, job.data.chunkSize || CHUNK_SIZE)
+      : [];
+    const done = (job.data.chunkResults || []).filter(Boolean);
+
+    if (!done.some(r => r.success)) {
+      await shipmentHistory.fail(recordId, error.message, job.processedOn ? new Date(job.processedOn) : null);
+      await webhooks.dispatch(instanceId, 'batch.failed', { jobId: job.id, recordId, error: error.message, quotaExceeded: null });
+      return;
+    }
+
+    const results = [...job.data.chunkResults];
+    for (const chunk of chunks) {
+      if (!results[chunk.index]) results[chunk.index] = { success: false, error: error.message, quotaExceeded: null };
+    }
+    await this._complete(job, this._aggregateChunks(chunks, results, job.processedOn || Date.now()));
+  }
+
+  _willRetry(job) {
+    return job.attemptsMade + 1 < (job.opts.attempts || 1);
+  }
+
+  // Consecutive slices of at most `size` shipments; fromRow/toRow are 1-based rows of the whole batch
+  _splitChunks(shipments, size) {
+    const chunks = [];
+    for (let start = 0; start < shipments.length; start += size) {
+      const slice = shipments.slice(start, start + size);
+      chunks.push({ index: chunks.length, fromRow: start + 1, toRow: start + slice.length, shipments: slice });
+    }
+    return chunks;
+  }
+
+  /**
+   * Uploads one workbook per chunk, one after another. A failed chunk is recorded and the next one
+   * is still uploaded. Finished chunks are saved in the job data, so when InstanceBusyError makes
+   * BullMQ retry the job it resumes at the first unfinished chunk instead of uploading twice.
+   *
+   * @returns {Promise<Object>} - Aggregated result: shipments and unmatched rows use the row numbers
+   *                              of the whole batch, chunks lists { chunk, fromRow, toRow, success, ... }
+   * @throws {Error} When every chunk failed
+   */
+  async _registerChunks(job, instance, chunks, securityCode) {
+    const startTime = Date.now();
+    const done = [...(job.data.chunkResults || [])];
+
+    for (const chunk of chunks) {
+      if (done[chunk.index]) continue;
+
+      const label = `chunk ${chunk.index + 1}/${chunks.length} (rows ${chunk.fromRow}-${chunk.toRow})`;
+      console.log(`[${instance.id}] Job ${job.id}: uploading ${label}`);
+
+      try {
+        const result = await tenantManager.registerMassiveShipment(instance.apiKey, chunk.file, securityCode);
+        const offset = chunk.fromRow - 1;
+        done[chunk.index] = {
+          success: true,
+          elapsed: result.elapsed,
+          shipments: result.shipments.map(s => ({ ...s, row: s.row + offset })),
+          unmatchedRows: (result.unmatchedRows || []).map(r => ({ ...r, row: r.row + offset })),
+          unmatchedOrders: result.unmatchedOrders || []
+        };
+      } catch (error) {
+        if (error instanceof InstanceBusyError && this._willRetry(job)) {
+          await job.updateData({ ...job.data, chunkResults: done });
+          throw error;
+        }
+        console.error(`[${instance.id}] Job ${job.id}: ${label} failed: ${error.message}`);
+        done[chunk.index] = {
+          success: false,
+          error: error.message,
+          quotaExceeded: error instanceof QuotaExceededError ? this._quotaDetails(error) : null
+        };
+      }
+
+      await job.updateData({ ...job.data, chunkResults: done });
+    }
+
+    const failed = done.filter(r => !r.success);
+    if (failed.length === chunks.length) {
+      if (failed.every(r => r.quotaExceeded)) {
+        const { period, limit, remaining } = failed[0].quotaExceeded;
+        throw new QuotaExceededError(instance.id, period, limit, remaining);
+      }
+      throw new Error(chunks.length === 1 ? failed[0].error : `All ${chunks.length} chunks failed: ${failed[0].error}`);
+    }
+
+    return this._aggregateChunks(chunks, done, startTime);
+  }
+
+  // Result of a chunked batch with at least one registered chunk; `done` holds one result per chunk
+  _aggregateChunks(chunks, done, startTime) {
+    const results = chunks.map(chunk => ({ chunk, result: done[chunk.index] }));
+    const failed = results.filter(r => !r.result.success);
+    const succeeded = results.filter(r => r.result.success).map(r => r.result);
+    const overQuota = failed.find(r => r.result.quotaExceeded);
+    return {
+      success: failed.length === 0,
+      message: failed.length === 0
+        ? 'Massive shipment registered successfully'
+        : `${chunks.length - failed.length} of ${chunks.length} chunks registered`,
+      elapsed: Date.now() - startTime,
+      shipments: succeeded.flatMap(r => r.shipments),
+      unmatchedRows: succeeded.flatMap(r => r.unmatchedRows),
+      unmatchedOrders: succeeded.flatMap(r => r.unmatchedOrders),
+      failedChunks: failed.length,
+      // Chunks rejected by the shipment quota are not uploaded
+      quotaExceeded: overQuota ? overQuota.result.quotaExceeded : null,
+      chunks: results.map(({ chunk, result }) => ({
+        chunk: chunk.index + 1,
+        fromRow: chunk.fromRow,
+        toRow: chunk.toRow,
+        success: result.success,
+        registered: result.success ? result.shipments.length : 0,
+        error: result.error || null,
+        quotaExceeded: !!result.quotaExceeded
+      }))
+    };
+  }
+
+  _quotaDetails({ period, limit, remaining }) {
+    return { period, limit, remaining };
+  }
+
+  async enqueueRegister(instanceId, data) {
+    const queue = this._getQueue(instanceId);
+    const job = await queue.add('register', { ...data, instanceId }, { jobId: uuidv4() });
+    return this._formatJob(job, 'queued');
+  }
+
+  async getJob(instanceId, jobId) {
+    const queue = this._getQueue(instanceId);
+    const job = await queue.getJob(jobId);
+    if (!job) return null;
+
+    const state = await job.getState();
+    let status = STATUS_MAP[state] || state;
+    // Completed chunked jobs where some chunks failed
+    if (status === 'succeeded' && job.returnvalue && job.returnvalue.failedChunks) status = 'partial';
+    return this._formatJob(job, status);
+  }
+
+  _formatJob(job, status) {
+    const toDate = (ts) => (ts ? new Date(ts).toISOString() : null);
+    const result = job.returnvalue || null;
+
+    return {
+      id: job.id,
+      instanceId: job.data.instanceId,
+      status,
+      result: result
+        ? {
+          message: result.message,
+          elapsed: result.elapsed,
+          shipments: result.shipments,
+          unmatchedRows: result.unmatchedRows || [],
+          unmatchedOrders: result.unmatchedOrders || [],
+          failedChunks: result.failedChunks || 0,
+          quotaExceeded: result.quotaExceeded || null,
+          chunks: result.chunks || []
+        }
+        : null,
+      error: job.failedReason || null,
+      createdAt: toDate(job.timestamp),
+      startedAt: toDate(job.processedOn),
+      finishedAt: toDate(job.finishedOn)
+    };
+  }
+
+  // Stop the worker of a deleted instance; queued jobs are dropped with it
+  async removeInstance(instanceId) {
+    const worker = this.workers.get(instanceId);
+    const queue = this.queues.get(instanceId);
+
+    try {
+      if (worker) await worker.close();
+      if (queue) {
+        await queue.obliterate({ force: true });
+        await queue.close();
+      }
+    } catch (error) {
+      console.error(`Error removing queue for instance ${instanceId}:`, error.message);
+    }
+
+    this.workers.delete(instanceId);
+    this.queues.delete(instanceId);
+  }
+
+  async shutdown() {
+    this.isShuttingDown = true;
+    console.log('Shutting down JobQueue...');
+
+    // Closing a worker waits for its active job to finish
+    for (const [instanceId, worker] of this.workers) {
+      try {
+        await worker.close();
+      } catch (error) {
+        console.error(`Error closing worker for instance ${instanceId}:`, error.message);
+      }
+    }
+
+    for (const queue of this.queues.values()) {
+      await queue.close().catch(() => { });
+    }
+
+    if (this.connection) {
+      await this.connection.quit().catch(() => { });
+      this.connection = null;
+    }
+
+    this.workers.clear();
+    this.queues.clear();
+  }
+}
+
+module.exports = new JobQueue();
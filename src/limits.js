@@ -0,0 +1,214 @@
+const IORedis = require('ioredis');
+const { getPrisma } = require('./db');
+const { QuotaExceededError } = require('./utils/errors');
+
+// Defaults for instances without their own values; 0 means unlimited
+const DEFAULT_LIMITS = {
+  // Cost points per minute (see the `cost` of each route in index.js)
+  rateLimitPerMinute: parseInt(process.env.RATE_LIMIT_POINTS_PER_MINUTE, 10) || 100,
+  // Shipments registered through massive uploads, per UTC day and month
+  dailyShipmentQuota: parseInt(process.env.DAILY_SHIPMENT_QUOTA, 10) || 0,
+  monthlyShipmentQuota: parseInt(process.env.MONTHLY_SHIPMENT_QUOTA, 10) || 0
+};
+
+const LIMIT_FIELDS = Object.keys(DEFAULT_LIMITS);
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Instance limits are read from the database at most this often
+const CACHE_TTL_MS = 30 * 1000;
+
+const DAY_MS = 24 * 3600 * 1000;
+
+/**
+ * Per-instance request rate limit and shipment quotas, counted in Redis.
+ *
+ * Each route costs some points (a massive upload drives the browser for minutes, a status check
+ * does not) charged against a fixed one-minute window. Shipment quotas count the rows uploaded by
+ * registerMassiveShipment: they are reserved before the upload and the rows that did not become
+ * orders are given back afterwards.
+ *
+ * Limits are stored on the instance record; null falls back to the defaults above. If Redis is
+ * unreachable requests are let through rather than rejected.
+ */
+class Limits {
+  constructor() {
+    this.connection = null;
+    this.cache = new Map();
+  }
+
+  _redis() {
+    if (!this.connection) {
+      this.connection = new IORedis(process.env.REDIS_URL, { maxRetriesPerRequest: 1 });
+      this.connection.on('error', (err) => console.error('Limits Redis error:', err.message));
+    }
+    return this.connection;
+  }
+
+  /**
+   * Effective limits of an instance.
+   *
+   * @returns {Promise<Object|null>} - { rateLimitPerMinute, dailyShipmentQuota, monthlyShipmentQuota, overrides }
+   *                                   where overrides holds the values stored on the instance (null = default),
+   *                                   or null if the instance does not exist
+   */
+  async getLimits(instanceId) {
+    const cached = this.cache.get(instanceId);
+    if (cached && Date.now() - cached.at < CACHE_TTL_MS) return cached.limits;
+
+    const db = getPrisma();
+    const record = await db.instance.findUnique({
+      where: { id: instanceId },
+      select: { rateLimitPerMinute: true, dailyShipmentQuota: true, monthlyShipmentQuota: true }
+    });
+    if (!record) return null;
+
+    const overrides = {};
+    const limits = { overrides };
+    for (const field of LIMIT_FIELDS) {
+      overrides[field] = record[field] === undefined ? null : record[field];
+      limits[field] = overrides[field] === null ? DEFAULT_LIMITS[field] : overrides[field];
+    }
+
+    this.cache.set(instanceId, { at: Date.now(), limits });
+    return limits;
+  }
+
+  /**
+   * Stores new limits for an instance. Only the given fields change; null restores the default.
+   *
+   * @returns {Promise<Object|null>} - Effective limits, or null if the instance does not exist
+   */
+  async update(instanceId, values) {
+    const data = {};
+    for (const field of LIMIT_FIELDS) {
+      if (values[field] !== undefined) data[field] = values[field];
+    }
+
+    const db = getPrisma();
+    try {
+      await db.instance.update({ where: { id: instanceId }, data });
+    } catch (error) {
+      if (error.code === 'P2025') return null;
+      throw error;
+    }
+
+    this.cache.delete(instanceId);
+    return this.getLimits(instanceId);
+  }
+
+  /**
+   * Charges `cost` points to the current window of the instance. A rejected request is not charged.
+   *
+   * @returns {Promise<Object>} - { allowed, limit, remaining, resetAt } (limit 0 = unlimited)
+   */
+  async consume(instanceId, cost) {
+    const { rateLimitPerMinute: limit } = (await this.getLimits(instanceId)) || DEFAULT_LIMITS;
+    const windowStart = Math.floor(Date.now() / RATE_WINDOW_MS) * RATE_WINDOW_MS;
+    const resetAt = new Date(windowStart + RATE_WINDOW_MS);
+    if (!limit) return { allowed: true, limit, remaining: null, resetAt };
+
+    try {
+      const redis = this._redis();
+      const key = `ratelimit:${instanceId}:${windowStart}`;
+      const [[, used]] = await redis.multi().incrby(key, cost).pexpire(key, RATE_WINDOW_MS).exec();
+
+      if (used > limit) {
+        await redis.decrby(key, cost);
+        return { allowed: false, limit, remaining: Math.max(0, limit - (used - cost)), resetAt };
+      }
+      return { allowed: true, limit, remaining: limit - used, resetAt };
+    } catch (error) {
+      console.error(`[${instanceId}] Rate limit check failed:`, error.message);
+      return { allowed: true, limit, remaining: null, resetAt };
+    }
+  }
+
+  _quotaPeriods(instanceId, now = new Date()) {
+    const day = now.toISOString().slice(0, 10);
+    const month = day.slice(0, 7);
+    const nextMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+    return [
+      { period: 'daily', field: 'dailyShipmentQuota', key: `quota:${instanceId}:day:${day}`, resetAt: new Date(Date.parse(day) + DAY_MS) },
+      { period: 'monthly', field: 'monthlyShipmentQuota', key: `quota:${instanceId}:month:${month}`, resetAt: nextMonth }
+    ];
+  }
+
+  /**
+   * Shipment quota usage of an instance.
+   *
+   * @returns {Promise<Object>} - { daily, monthly }, each { limit, used, remaining, resetAt }
+   *                              (limit 0 and remaining null when unlimited)
+   */
+  async getQuota(instanceId) {
+    const limits = (await this.getLimits(instanceId)) || DEFAULT_LIMITS;
+    const periods = this._quotaPeriods(instanceId);
+
+    let counts = periods.map(() => 0);
+    try {
+      counts = (await this._redis().mget(periods.map(p => p.key))).map(v => parseInt(v, 10) || 0);
+    } catch (error) {
+      console.error(`[${instanceId}] Quota lookup failed:`, error.message);
+    }
+
+    const quota = {};
+    periods.forEach(({ period, field, resetAt }, i) => {
+      const limit = limits[field];
+      quota[period] = { limit, used: counts[i], remaining: limit ? Math.max(0, limit - counts[i]) : null, resetAt };
+    });
+    return quota;
+  }
+
+  /**
+   * Counts `count` shipments against the quotas before they are uploaded.
+   *
+   * @throws {QuotaExceededError} When a quota cannot take them; nothing is counted then
+   */
+  async reserveShipments(instanceId, count) {
+    if (count <= 0) return;
+
+    const limits = (await this.getLimits(instanceId)) || DEFAULT_LIMITS;
+    const periods = this._quotaPeriods(instanceId);
+
+    let used;
+    try {
+      const redis = this._redis();
+      const multi = redis.multi();
+      for (const { key, resetAt } of periods) {
+        multi.incrby(key, count).pexpireat(key, resetAt.getTime() + DAY_MS);
+      }
+      used = (await multi.exec()).filter((_, i) => i % 2 === 0).map(([, value]) => value);
+    } catch (error) {
+      console.error(`[${instanceId}] Quota reservation failed:`, error.message);
+      return;
+    }
+
+    const exceeded = periods.findIndex(({ field }, i) => limits[field] && used[i] > limits[field]);
+    if (exceeded >= 0) {
+      await this.releaseShipments(instanceId, count);
+      const { period, field } = periods[exceeded];
+      throw new QuotaExceededError(instanceId, period, limits[field], Math.max(0, limits[field] - (used[exceeded] - count)));
+    }
+  }
+
+  // Gives back reserved shipments that were not registered
+  async releaseShipments(instanceId, count) {
+    if (count <= 0) return;
+
+    try {
+      const multi = this._redis().multi();
+      for (const { key } of this._quotaPeriods(instanceId)) multi.decrby(key, count);
+      await multi.exec();
+    } catch (error) {
+      console.error(`[${instanceId}] Quota release failed:`, error.message);
+    }
+  }
+
+  async shutdown() {
+    if (this.connection) await this.connection.quit().catch(() => { });
+    this.connection = null;
+  }
+}
+
+module.exports = new Limits();
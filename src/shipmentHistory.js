@@ -0,0 +1,124 @@
+const { getPrisma } = require('./db');
+const { normalizeShipment } = require('./utils/excel');
+const { normalize, findAgency } = require('./utils/catalog');
+
+// Destinations are indexed by their catalog label so "yura" and the full label filter alike
+const destinationKey = (value) => {
+  const { agency } = findAgency(value);
+  return normalize(agency ? agency.label : value);
+};
+
+/**
+ * Persists every registration attempt (massive uploads and single shipments) so they can be
+ * audited after the HTTP response or the job result is gone.
+ *
+ * Status follows the job states: queued -> running -> succeeded | failed.
+ * Write failures are logged and never interrupt the registration itself.
+ */
+class ShipmentHistory {
+  async create({ instanceId, type, input, shipments = [], jobId = null, status = 'queued' }) {
+    const rows = shipments.map(normalizeShipment);
+
+    try {
+      const db = getPrisma();
+      const record = await db.shipmentRecord.create({
+        data: {
+          instanceId,
+          type,
+          status,
+          jobId,
+          input,
+          destinations: [...new Set(rows.map(r => destinationKey(r.destination)).filter(Boolean))],
+          grrs: [...new Set(rows.map(r => String(r.grr).trim()).filter(Boolean))],
+          orderNumbers: [],
+          startedAt: status === 'running' ? new Date() : null
+        }
+      });
+      return record.id;
+    } catch (error) {
+      console.error(`Failed to create shipment record for instance ${instanceId}:`, error.message);
+      return null;
+    }
+  }
+
+  async setJobId(id, jobId) {
+    await this._update(id, { jobId });
+  }
+
+  async _update(id, data) {
+    if (!id) return;
+    try {
+      const db = getPrisma();
+      await db.shipmentRecord.update({ where: { id }, data });
+    } catch (error) {
+      console.error(`Failed to update shipment record ${id}:`, error.message);
+    }
+  }
+
+  async markRunning(id, { excelFile = null } = {}) {
+    await this._update(id, { status: 'running', excelFile, startedAt: new Date() });
+  }
+
+  // Back to queued when a job is going to be retried
+  async requeue(id, error) {
+    await this._update(id, { status: 'queued', error });
+  }
+
+  // Chunked batches where only some chunks were registered end as 'partial'
+  async complete(id, result, orderNumbers = []) {
+    await this._update(id, {
+      status: result && result.failedChunks ? 'partial' : 'succeeded',
+      result,
+      orderNumbers,
+      error: null,
+      finishedAt: new Date(),
+      elapsedMs: result && typeof result.elapsed === 'number' ? result.elapsed : null
+    });
+  }
+
+  async fail(id, error, startedAt = null) {
+    const finishedAt = new Date();
+    await this._update(id, {
+      status: 'failed',
+      error,
+      finishedAt,
+      elapsedMs: startedAt ? finishedAt - startedAt : null
+    });
+  }
+
+  /**
+   * Lists the registrations of an instance, newest first.
+   *
+   * @param {string} instanceId
+   * @param {Object} filters - { from, to, status, destination, grr, orderNumber, page, pageSize }
+   * @returns {Promise<Object>} - { total, page, pageSize, shipments }
+   */
+  async list(instanceId, { from, to, status, destination, grr, orderNumber, page = 1, pageSize = 20 } = {}) {
+    const where = { instanceId };
+
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = new Date(from);
+      if (to) where.createdAt.lte = new Date(to);
+    }
+    if (status) where.status = status;
+    if (destination) where.destinations = { has: destinationKey(destination) };
+    if (grr) where.grrs = { has: grr.trim() };
+    if (orderNumber) where.orderNumbers = { has: orderNumber.trim() };
+
+    const db = getPrisma();
+    const [total, shipments] = await Promise.all([
+      db.shipmentRecord.count({ where }),
+      db.shipmentRecord.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize
+      })
+    ]);
+
+    return { total, page, pageSize, shipments };
+  }
+}
+
+module.exports = new ShipmentHistory();
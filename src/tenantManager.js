@@ -1,26 +1,88 @@
-const { chromium } = require('playwright');
 const { v4: uuidv4 } = require('uuid');
-const { PrismaClient } = require('@prisma/client');
-const { Pool } = require('pg');
-const { PrismaPg } = require('@prisma/adapter-pg');
-
-// Lazy initialization of Prisma client
-let prisma = null;
-const getPrisma = () => {
-  if (!prisma) {
-    const pool = new Pool({ connectionString: process.env.DATABASE_URL });
-    const adapter = new PrismaPg(pool);
-    prisma = new PrismaClient({ adapter });
-  }
-  return prisma;
-};
+const { getPrisma } = require('./db');
+const { InstanceBusyError } = require('./utils/errors');
+const { readMassiveShipmentExcel } = require('./utils/excel');
+const { encrypt, decrypt } = require('./utils/crypto');
+const webhooks = require('./webhooks');
+const browserPool = require('./browserPool');
+const limits = require('./limits');
+
+// Maximum time an operation waits for another one to release the instance page
+const LOCK_TIMEOUT_MS = parseInt(process.env.INSTANCE_LOCK_TIMEOUT_MS, 10) || 10000;
+
+// How often the keep-alive scheduler checks the session of each instance (0 disables it)
+const KEEPALIVE_INTERVAL_MS = process.env.SESSION_KEEPALIVE_INTERVAL_MS
+  ? parseInt(process.env.SESSION_KEEPALIVE_INTERVAL_MS, 10) || 0
+  : 10 * 60 * 1000;
+
+// Contexts unused for this long are saved and closed, then restored on their next request (0 disables it)
+const IDLE_TIMEOUT_MS = process.env.INSTANCE_IDLE_TIMEOUT_MS
+  ? parseInt(process.env.INSTANCE_IDLE_TIMEOUT_MS, 10) || 0
+  : 30 * 60 * 1000;
+
+// Maximum number of open browser contexts; the least recently used one is evicted to make room (0 = no limit)
+const MAX_LIVE_CONTEXTS = process.env.MAX_LIVE_CONTEXTS
+  ? parseInt(process.env.MAX_LIVE_CONTEXTS, 10) || 0
+  : 20;
+
+// Runs inside the page: finds the request cards of #/solicitud/pendientes by walking up from each
+// "N° de Orden" label, tags each card with data-pending-order and returns the data read from it
+function collectPendingCards() {
+  document.querySelectorAll('[data-pending-order]').forEach(el => el.removeAttribute('data-pending-order'));
+
+  const results = [];
+  const orderLabels = Array.from(document.querySelectorAll('*')).filter(el =>
+    el.children.length === 0 && el.textContent && el.textContent.includes('N° de Orden')
+  );
+
+  orderLabels.forEach(label => {
+    let container = label.parentElement;
+    let attempts = 0;
+    while (container && attempts < 6) {
+      const text = container.innerText || '';
+      if (text.includes('Código') && text.includes('S/')) {
+        const orderMatch = text.match(/N° de Orden:?\s*(\d+)/i);
+        const codeMatch = text.match(/Código:?\s*([A-Z0-9]+)/i);
+        const costMatch = text.match(/S\/\.?\s*([\d.]+)/);
+        const destinationMatch = text.match(/Destino:?\s*([^\n]+)/i);
+        const dateMatch = text.match(/\d{2}\/\d{2}\/\d{4}(?:\s+\d{1,2}:\d{2}(?::\d{2})?(?:\s*[ap]\.?\s*m\.?)?)?/i);
+        // Check for class 'time-deleted' on the container, its ancestors, or inside it
+        const isDeleted = !!container.closest('.time-deleted') || !!container.querySelector('.time-deleted');
+
+        if (orderMatch && !results.find(r => r.orderNumber === orderMatch[1])) {
+          container.setAttribute('data-pending-order', orderMatch[1]);
+          results.push({
+            orderNumber: orderMatch[1],
+            code: codeMatch ? codeMatch[1] : 'N/A',
+            cost: costMatch ? costMatch[1] : '0.00',
+            deleted: isDeleted,
+            destination: destinationMatch ? destinationMatch[1].trim() : null,
+            date: dateMatch ? dateMatch[0] : null,
+            text
+          });
+        }
+        break;
+      }
+      container = container.parentElement;
+      attempts++;
+    }
+  });
+  return results;
+}
 
 class TenantManager {
   constructor() {
     this.instances = new Map();
     this.initialized = false;
-    this.browser = null;
     this.isShuttingDown = false;
+    this.keepAliveTimer = null;
+    this.keepAliveRunning = false;
+    this.evictionTimer = null;
+    this.restoring = new Map();
+    // apiKey -> recovery of the crashed browser that hosted the instance
+    this.recovering = new Map();
+
+    browserPool.onDisconnect = (slot) => this._onBrowserDisconnected(slot);
   }
 
   // Initialize and restore sessions from database
@@ -30,25 +92,22 @@ class TenantManager {
     console.log('Initializing TenantManager...');
 
     try {
-      if (!this.browser) {
-        if (this.isShuttingDown) return;
-        console.log('Launching shared browser instance...');
-        this.browser = await chromium.launch({
-          headless: process.env.HEADLESS !== 'false',
-          args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage' // Crucial for Docker environments
-          ]
-        });
-      }
+      if (this.isShuttingDown) return;
+      console.log(`Launching ${browserPool.size} shared browser(s)...`);
+      await browserPool.launch();
 
       const db = getPrisma();
-      const dbInstances = await db.instance.findMany();
+      const dbInstances = await db.instance.findMany({ orderBy: { lastUsedAt: 'desc' } });
 
-      console.log(`Found ${dbInstances.length} instances in database`);
+      // Only recently used instances are opened now; the rest are restored on first use
+      const idleSince = IDLE_TIMEOUT_MS ? new Date(Date.now() - IDLE_TIMEOUT_MS) : null;
+      const toRestore = dbInstances
+        .filter(i => !idleSince || i.lastUsedAt >= idleSince)
+        .slice(0, MAX_LIVE_CONTEXTS || undefined);
 
-      for (const dbInstance of dbInstances) {
+      console.log(`Found ${dbInstances.length} instances in database, restoring ${toRestore.length} recently used`);
+
+      for (const dbInstance of toRestore) {
         if (this.isShuttingDown) {
           console.log('Initialization aborted due to shutdown');
           break;
@@ -73,24 +132,93 @@ class TenantManager {
     }
   }
 
+  // Chromium crashed or was killed: the contexts it hosted are gone, so relaunch it and rebuild them
+  _onBrowserDisconnected(slot) {
+    const lost = [...this.instances.values()].filter(i => i.browserSlot === slot.id);
+
+    // Requests arriving meanwhile find no instance and wait for the recovery in getOrRestoreInstance;
+    // operations already queued on a lost instance run on its rebuilt one (see _withLock)
+    for (const instance of lost) {
+      instance.unloaded = true;
+      this.instances.delete(instance.apiKey);
+    }
+
+    const recovery = browserPool.recover(slot, undefined, () => this._restoreLost(slot, lost));
+    for (const instance of lost) this.recovering.set(instance.apiKey, recovery);
+    recovery.finally(() => {
+      for (const instance of lost) {
+        if (this.recovering.get(instance.apiKey) === recovery) this.recovering.delete(instance.apiKey);
+      }
+    });
+  }
+
+  async _restoreLost(slot, lost) {
+    console.log(`[${slot.id}] Browser relaunched, restoring ${lost.length} instance(s)`);
+
+    // Most recently used first; the rest are restored on their next request anyway
+    lost.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+    const db = getPrisma();
+
+    for (const previous of lost) {
+      if (this.isShuttingDown) return;
+      try {
+        const dbInstance = await db.instance.findUnique({ where: { id: previous.id } });
+        if (!dbInstance) continue;
+
+        await this._restoreInstance(dbInstance);
+        const instance = this.getInstance(dbInstance.apiKey);
+        // Keep the idle clock running from the last real use
+        if (instance) instance.lastUsedAt = previous.lastUsedAt;
+      } catch (error) {
+        console.error(`[${previous.id}] Failed to restore after browser crash:`, error.message);
+      }
+    }
+
+    console.log(`[${slot.id}] Browser recovery complete`);
+  }
+
+  // Browser state for the health check
+  getHealth() {
+    const { browsers } = browserPool.getMetrics();
+    return {
+      browser: browserPool.getStatus(),
+      liveContexts: this.instances.size,
+      crashes: browsers.reduce((sum, b) => sum + b.crashes, 0),
+      browsers: browsers.map(({ id, status }) => ({ id, status }))
+    };
+  }
+
+  // Pool metrics with the busy contexts of each browser
+  getBrowserPool() {
+    const metrics = browserPool.getMetrics();
+    const instances = [...this.instances.values()];
+
+    return {
+      ...metrics,
+      browsers: metrics.browsers.map(b => ({
+        ...b,
+        busy: instances.filter(i => i.browserSlot === b.id && i.busyWith).length
+      }))
+    };
+  }
+
   async _restoreInstance(dbInstance) {
-    if (!this.browser) await this.initialize();
+    await this._ensureCapacity();
 
-    let context;
+    const dedicated = dbInstance.dedicatedBrowser;
+    let storageState;
 
     if (dbInstance.storageState) {
       try {
-        const storageState = JSON.parse(dbInstance.storageState);
-        context = await this.browser.newContext({ storageState });
-        console.log(`Restored storage state for instance ${dbInstance.id}`);
+        storageState = JSON.parse(decrypt(dbInstance.storageState));
       } catch (error) {
-        console.error('Failed to parse storage state, creating new context');
-        context = await this.browser.newContext();
+        console.error(`Failed to read storage state (${error.message}), creating new context`);
       }
-    } else {
-      context = await this.browser.newContext();
     }
 
+    const { context, slot } = await browserPool.newContext(dbInstance.id, { dedicated, storageState });
+    if (storageState) console.log(`Restored storage state for instance ${dbInstance.id}`);
+
     const page = await context.newPage();
 
     // Optimize: Block unnecessary resources
@@ -105,26 +233,55 @@ class TenantManager {
     const currentUrl = page.url();
     let isLoggedIn = !currentUrl.includes('login');
 
+    let storedPassword = null;
+    try {
+      storedPassword = decrypt(dbInstance.password);
+    } catch (error) {
+      console.error(`[${dbInstance.id}] Failed to decrypt stored password: ${error.message}`);
+    }
+
+    // A stored username means the instance was logged in when its session was saved
+    const sessionExpired = !isLoggedIn && !!dbInstance.username;
+
     // Auto-login if session expired and credentials exist
-    if (!isLoggedIn && dbInstance.username && dbInstance.password) {
+    if (sessionExpired && storedPassword) {
       console.log(`[${dbInstance.id}] Session expired, attempting auto-login with stored credentials...`);
-      const loginResult = await this._attemptLogin(page, dbInstance.username, dbInstance.password, dbInstance.id);
+      const loginResult = await this._attemptLogin(page, dbInstance.username, storedPassword, dbInstance.id);
       if (loginResult.success) {
         isLoggedIn = true;
         console.log(`[${dbInstance.id}] Auto-login successful`);
       } else {
         console.error(`[${dbInstance.id}] Auto-login failed: ${loginResult.message}`);
+        await webhooks.dispatch(dbInstance.id, 'autologin.failed', {
+          username: dbInstance.username,
+          reason: loginResult.message
+        });
       }
     }
 
+    if (sessionExpired) {
+      await webhooks.dispatch(dbInstance.id, 'session.expired', {
+        username: dbInstance.username,
+        recovered: isLoggedIn
+      });
+    }
+
     this.instances.set(dbInstance.apiKey, {
       id: dbInstance.id,
       apiKey: dbInstance.apiKey,
       context,
       page,
+      browserSlot: slot,
+      dedicatedBrowser: !!dedicated,
       createdAt: dbInstance.createdAt,
       username: isLoggedIn ? dbInstance.username : null,
-      lastShipmentTime: null
+      autoLogin: !!(dbInstance.username && storedPassword),
+      lastShipmentTime: null,
+      lastUsedAt: new Date(),
+      lastVerifiedAt: new Date(),
+      sessionStatus: isLoggedIn ? (sessionExpired ? 'renewed' : 'active') : (sessionExpired ? 'expired' : 'logged_out'),
+      lockTail: null,
+      busyWith: null
     });
 
     const db = getPrisma();
@@ -140,11 +297,253 @@ class TenantManager {
     return { isLoggedIn, username: dbInstance.username };
   }
 
+  // Periodically verifies every logged-in instance so expired sessions are renewed before a request needs them
+  startKeepAlive(intervalMs = KEEPALIVE_INTERVAL_MS) {
+    if (this.keepAliveTimer || !intervalMs) return;
+
+    this.keepAliveTimer = setInterval(() => {
+      this.checkSessions().catch(error => console.error('Session keep-alive error:', error.message));
+    }, intervalMs);
+    // The scheduler must not keep the process alive on its own
+    this.keepAliveTimer.unref();
+    console.log(`Session keep-alive every ${Math.round(intervalMs / 1000)}s`);
+  }
+
+  stopKeepAlive() {
+    if (this.keepAliveTimer) clearInterval(this.keepAliveTimer);
+    this.keepAliveTimer = null;
+  }
+
+  // One pass of the keep-alive scheduler. Instances are checked one at a time to keep the browser load low.
+  async checkSessions() {
+    if (this.keepAliveRunning || this.isShuttingDown) return;
+    this.keepAliveRunning = true;
+
+    try {
+      for (const instance of [...this.instances.values()]) {
+        if (this.isShuttingDown) break;
+        // Nothing to keep alive on instances that never logged in
+        if (!instance.username && !instance.autoLogin) continue;
+
+        try {
+          await this._withLock(instance, 'keepAlive', () => this._verifySession(instance), 0, { restore: false });
+        } catch (error) {
+          // A running operation already proves the page is in use; the next pass will check it
+          if (error instanceof InstanceBusyError) continue;
+          instance.lastVerifiedAt = new Date();
+          instance.sessionStatus = 'error';
+          console.error(`[${instance.id}] Session check failed: ${error.message}`);
+        }
+      }
+    } finally {
+      this.keepAliveRunning = false;
+    }
+  }
+
+  // Periodically closes the contexts that have not been used for IDLE_TIMEOUT_MS
+  startIdleEviction(timeoutMs = IDLE_TIMEOUT_MS) {
+    if (this.evictionTimer || !timeoutMs) return;
+
+    this.evictionTimer = setInterval(() => {
+      this.evictIdleInstances(timeoutMs).catch(error => console.error('Idle eviction error:', error.message));
+    }, Math.min(timeoutMs, 60 * 1000));
+    this.evictionTimer.unref();
+    console.log(`Idle instances are closed after ${Math.round(timeoutMs / 1000)}s`);
+  }
+
+  stopIdleEviction() {
+    if (this.evictionTimer) clearInterval(this.evictionTimer);
+    this.evictionTimer = null;
+  }
+
+  async evictIdleInstances(timeoutMs = IDLE_TIMEOUT_MS) {
+    const idleSince = Date.now() - timeoutMs;
+
+    for (const instance of [...this.instances.values()]) {
+      if (this.isShuttingDown) break;
+      if (instance.lastUsedAt.getTime() > idleSince) continue;
+      await this._evictInstance(instance, 'idle');
+    }
+  }
+
+  // Evicts least recently used contexts until there is room for one more
+  async _ensureCapacity() {
+    if (!MAX_LIVE_CONTEXTS) return;
+
+    const byLastUse = [...this.instances.values()].sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+    for (const instance of byLastUse) {
+      if (this.instances.size < MAX_LIVE_CONTEXTS) return;
+      await this._evictInstance(instance, 'capacity');
+    }
+
+    if (this.instances.size >= MAX_LIVE_CONTEXTS) {
+      console.warn(`All ${this.instances.size} live contexts are busy, exceeding MAX_LIVE_CONTEXTS=${MAX_LIVE_CONTEXTS}`);
+    }
+  }
+
+  // Saves the session and closes the context. Busy instances are left alone. Returns true if evicted.
+  async _evictInstance(instance, reason) {
+    try {
+      if (!await this._unloadInstance(instance, 'evict', 0)) return false;
+    } catch (error) {
+      if (error instanceof InstanceBusyError) return false;
+      throw error;
+    }
+
+    console.log(`[${instance.id}] Context closed (${reason}), it will be restored on next use`);
+    return true;
+  }
+
+  // Saves the session and closes the context; getOrRestoreInstance reopens it. Operations queued on the
+  // instance meanwhile run on the restored one (see _withLock). Returns false if it was already unloaded.
+  // Throws InstanceBusyError
+  async _unloadInstance(instance, action, timeout = LOCK_TIMEOUT_MS) {
+    const unloaded = await this._withLock(instance, action, async () => {
+      await this._saveStorageState(instance.apiKey, false);
+      try {
+        await instance.context.close();
+      } catch (error) {
+        console.error(`Error closing context for instance ${instance.id}:`, error.message);
+      }
+      instance.unloaded = true;
+      this.instances.delete(instance.apiKey);
+      return true;
+    }, timeout, { restore: false });
+    return !!unloaded;
+  }
+
+  /**
+   * Moves an instance to its own browser process or back to the shared ones. A live context is
+   * reopened right away in the new browser, keeping its session.
+   *
+   * @returns {Promise<Object|null>} - { instanceId, dedicatedBrowser, browser }, or null if the instance does not exist
+   */
+  async setDedicatedBrowser(instanceId, dedicated) {
+    await this.initialize();
+
+    const db = getPrisma();
+    const dbInstance = await db.instance.findUnique({ where: { id: instanceId } });
+    if (!dbInstance) return null;
+
+    await db.instance.update({
+      where: { id: instanceId },
+      data: { dedicatedBrowser: dedicated }
+    });
+
+    const instance = this.getInstance(dbInstance.apiKey);
+    if (instance && instance.dedicatedBrowser !== dedicated) {
+      await this._unloadInstance(instance, 'moveBrowser');
+      await this.getOrRestoreInstance(dbInstance.apiKey);
+      console.log(`[${instanceId}] Moved to ${dedicated ? 'a dedicated' : 'a shared'} browser`);
+    }
+
+    const live = this.getInstance(dbInstance.apiKey);
+    return { instanceId, dedicatedBrowser: dedicated, browser: live ? live.browserSlot : null };
+  }
+
+  // Must be called with the instance lock held
+  async _verifySession(instance) {
+    const { page } = instance;
+    // Notifications are only sent when a live session is lost, not on every failed retry afterwards
+    const wasLoggedIn = !!instance.username;
+
+    // A lightweight navigation refreshes the session cookies
+    await page.goto('https://pro.shalom.pe/#/home', { waitUntil: 'domcontentloaded', timeout: 20000 });
+    await this._wait(1500);
+
+    if (!page.url().includes('login')) {
+      instance.sessionStatus = 'active';
+      instance.lastVerifiedAt = new Date();
+      await this._saveStorageState(instance.apiKey, false);
+      return;
+    }
+
+    const db = getPrisma();
+    const dbInstance = await db.instance.findUnique({ where: { id: instance.id } });
+    const username = dbInstance ? dbInstance.username : instance.username;
+    console.log(`[${instance.id}] Keep-alive found the session expired`);
+
+    let storedPassword = null;
+    try {
+      storedPassword = dbInstance ? decrypt(dbInstance.password) : null;
+    } catch (error) {
+      console.error(`[${instance.id}] Failed to decrypt stored password: ${error.message}`);
+    }
+
+    let renewed = false;
+    if (username && storedPassword) {
+      const loginResult = await this._attemptLogin(page, username, storedPassword, instance.id);
+      renewed = loginResult.success;
+
+      if (renewed) {
+        console.log(`[${instance.id}] Keep-alive re-login successful`);
+        await this._saveStorageState(instance.apiKey, false);
+      } else {
+        console.error(`[${instance.id}] Keep-alive re-login failed: ${loginResult.message}`);
+        if (wasLoggedIn) {
+          await webhooks.dispatch(instance.id, 'autologin.failed', { username, reason: loginResult.message });
+        }
+      }
+    }
+
+    instance.username = renewed ? username : null;
+    instance.sessionStatus = renewed ? 'renewed' : 'expired';
+    instance.lastVerifiedAt = new Date();
+
+    if (wasLoggedIn) {
+      await webhooks.dispatch(instance.id, 'session.expired', { username, recovered: renewed });
+    }
+  }
+
   _wait(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  async _saveStorageState(apiKey) {
+  // Each instance has a single page, so page-driving operations are queued one after another.
+  // Waiting longer than `timeout` for the previous operation throws InstanceBusyError.
+  //
+  // `fn` receives the instance to work on. If the context was closed while waiting (idle eviction,
+  // browser move or crash), it gets the restored instance instead; with `restore: false` (background
+  // work) it is skipped and undefined is returned.
+  async _withLock(instance, action, fn, timeout = LOCK_TIMEOUT_MS, { restore = true } = {}) {
+    const previous = instance.lockTail || Promise.resolve();
+    let release;
+    const turn = new Promise(resolve => { release = resolve; });
+    instance.lockTail = previous.then(() => turn);
+
+    let timer;
+    const acquired = await Promise.race([
+      previous.then(() => true),
+      new Promise(resolve => { timer = setTimeout(() => resolve(false), timeout); })
+    ]);
+    clearTimeout(timer);
+
+    if (!acquired) {
+      // Give up our turn so the operations queued behind us are not blocked
+      release();
+      throw new InstanceBusyError(instance.id, instance.busyWith);
+    }
+
+    if (instance.unloaded) {
+      release();
+      if (!restore) return undefined;
+
+      const current = await this.getOrRestoreInstance(instance.apiKey);
+      if (!current) throw new Error('Instance not found');
+      return this._withLock(current, action, fn, timeout);
+    }
+
+    instance.busyWith = action;
+    try {
+      return await fn(instance);
+    } finally {
+      instance.busyWith = null;
+      release();
+    }
+  }
+
+  // `touch` updates lastUsedAt; background work (keep-alive, eviction) saves without counting as a use
+  async _saveStorageState(apiKey, touch = true) {
     const instance = this.getInstance(apiKey);
     if (!instance) return;
 
@@ -157,8 +556,8 @@ class TenantManager {
       await db.instance.update({
         where: { apiKey },
         data: {
-          storageState: JSON.stringify(storageState),
-          lastUsedAt: new Date()
+          storageState: encrypt(JSON.stringify(storageState)),
+          ...(touch ? { lastUsedAt: new Date() } : {})
         }
       });
       console.log(`Saved storage state for instance ${instance.id}`);
@@ -173,19 +572,6 @@ class TenantManager {
   async createInstance() {
     await this.initialize();
 
-    if (!this.browser) {
-      // Ensure browser is launched if initialize didn't do it (though it should)
-      console.log('Browser not ready, launching...');
-      this.browser = await chromium.launch({
-        headless: process.env.HEADLESS !== 'false',
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage'
-        ]
-      });
-    }
-
     const apiKey = uuidv4();
     const id = uuidv4();
 
@@ -199,7 +585,8 @@ class TenantManager {
       }
     });
 
-    const context = await this.browser.newContext();
+    await this._ensureCapacity();
+    const { context, slot } = await browserPool.newContext(id);
     const page = await context.newPage();
 
     // Optimize: Block unnecessary resources
@@ -216,9 +603,17 @@ class TenantManager {
       apiKey,
       context,
       page,
+      browserSlot: slot,
+      dedicatedBrowser: false,
       createdAt: new Date(),
       username: null,
-      lastShipmentTime: null
+      autoLogin: false,
+      lastShipmentTime: null,
+      lastUsedAt: new Date(),
+      lastVerifiedAt: null,
+      sessionStatus: null,
+      lockTail: null,
+      busyWith: null
     });
 
     return { apiKey, id };
@@ -228,37 +623,71 @@ class TenantManager {
     return this.instances.get(apiKey);
   }
 
+  // Returns the live instance, restoring its context if it was never opened or has been evicted.
+  // Every call counts as a use for idle eviction.
   async getOrRestoreInstance(apiKey) {
+    // The browser hosting it crashed: wait until it is relaunched and the instance rebuilt
+    if (this.recovering.has(apiKey)) await this.recovering.get(apiKey);
+
     let instance = this.getInstance(apiKey);
-    if (instance) return instance;
 
+    if (!instance) {
+      // Concurrent requests for the same instance share a single restore
+      if (!this.restoring.has(apiKey)) {
+        this.restoring.set(apiKey, this._restoreByApiKey(apiKey).finally(() => this.restoring.delete(apiKey)));
+      }
+      await this.restoring.get(apiKey);
+      instance = this.getInstance(apiKey);
+    }
+
+    if (instance) instance.lastUsedAt = new Date();
+    return instance || null;
+  }
+
+  async _restoreByApiKey(apiKey) {
     const db = getPrisma();
     const dbInstance = await db.instance.findFirst({
       where: { apiKey }
     });
 
+    if (dbInstance) await this._restoreInstance(dbInstance);
+  }
+
+  async getOrRestoreInstanceById(id) {
+    for (const instance of this.instances.values()) {
+      if (instance.id === id) return this.getOrRestoreInstance(instance.apiKey);
+    }
+
+    const db = getPrisma();
+    const dbInstance = await db.instance.findUnique({
+      where: { id }
+    });
+
     if (!dbInstance) return null;
 
-    await this._restoreInstance(dbInstance);
-    instance = this.getInstance(apiKey);
-    return instance || null;
+    return this.getOrRestoreInstance(dbInstance.apiKey);
   }
 
   async getStatus(apiKey) {
     await this.initialize();
 
-    const instance = this.getInstance(apiKey);
+    const instance = await this.getOrRestoreInstance(apiKey);
     if (!instance) return null;
 
-    const { page, username } = instance;
-    const currentUrl = page.url();
-    const isLoggedIn = !currentUrl.includes('login') && username !== null;
+    return this._withLock(instance, 'getStatus', async (instance) => {
+      const { page, username } = instance;
+      const currentUrl = page.url();
+      const isLoggedIn = !currentUrl.includes('login') && username !== null;
 
-    return {
-      isLoggedIn,
-      username: isLoggedIn ? username : null,
-      url: currentUrl
-    };
+      return {
+        isLoggedIn,
+        username: isLoggedIn ? username : null,
+        url: currentUrl,
+        autoLogin: instance.autoLogin,
+        lastVerifiedAt: instance.lastVerifiedAt,
+        sessionStatus: instance.sessionStatus
+      };
+    });
   }
 
   async _attemptLogin(page, username, password, instanceId, retries = 3) {
@@ -309,85 +738,160 @@ class TenantManager {
     return { success: false, message: 'Login failed' };
   }
 
-  async login(apiKey, username, password, retries = 3) {
+  // Logs in with the given credentials in a throwaway context, leaving the instance session untouched
+  async _verifyCredentials(instance, username, password, retries) {
+    const { context } = await browserPool.newContext(instance.id, { dedicated: instance.dedicatedBrowser });
+    try {
+      const page = await context.newPage();
+      await page.goto('https://pro.shalom.pe/login', { waitUntil: 'domcontentloaded', timeout: 30000 });
+      return await this._attemptLogin(page, username, password, instance.id, retries);
+    } finally {
+      await context.close().catch(() => { });
+    }
+  }
+
+  // Stores the credentials used by _restoreInstance to log in again when the session has expired
+  async _storeCredentials(instance, username, password) {
+    const db = getPrisma();
+    await db.instance.update({
+      where: { apiKey: instance.apiKey },
+      data: { username, password: encrypt(password) }
+    });
+    instance.autoLogin = true;
+  }
+
+  async forgetCredentials(apiKey) {
+    await this.initialize();
+
+    const db = getPrisma();
+    await db.instance.update({
+      where: { apiKey },
+      data: { password: null }
+    });
+
+    const instance = this.getInstance(apiKey);
+    if (instance) instance.autoLogin = false;
+
+    return { success: true, message: 'Stored credentials removed' };
+  }
+
+  async login(apiKey, username, password, retries = 3, rememberCredentials = false) {
     await this.initialize();
 
     const instance = await this.getOrRestoreInstance(apiKey);
     if (!instance) throw new Error('Instance not found');
 
-    const { page } = instance;
+    return this._withLock(instance, 'login', async (instance) => {
+      const { page } = instance;
 
-    if (!page.url().includes('login')) {
-      if (!instance.username) {
+      if (!page.url().includes('login')) {
+        // Switching to another Shalom user requires logging out first
+        if (instance.username && instance.username !== username) {
+          return { success: false, conflict: true, message: `Already logged in as ${instance.username}, log out first` };
+        }
+
+        // The live session proves nothing about the password: check it before keep-alive can replay it
+        if (rememberCredentials) {
+          const verified = await this._verifyCredentials(instance, username, password, retries);
+          if (!verified.success) return verified;
+        }
+
+        if (!instance.username) {
+          instance.username = username;
+          const db = getPrisma();
+          await db.instance.update({
+            where: { apiKey },
+            data: { username }
+          });
+        }
+        if (rememberCredentials) await this._storeCredentials(instance, username, password);
+        instance.sessionStatus = 'active';
+        instance.lastVerifiedAt = new Date();
+        await this._saveStorageState(apiKey);
+        return { success: true, message: 'Already logged in', url: page.url() };
+      }
+
+      const result = await this._attemptLogin(page, username, password, instance.id, retries);
+
+      if (result.success) {
         instance.username = username;
+        instance.sessionStatus = 'active';
+        instance.lastVerifiedAt = new Date();
+
         const db = getPrisma();
         await db.instance.update({
           where: { apiKey },
           data: { username }
         });
-      }
-      await this._saveStorageState(apiKey);
-      return { success: true, message: 'Already logged in', url: page.url() };
-    }
-
-    const result = await this._attemptLogin(page, username, password, instance.id, retries);
-
-    if (result.success) {
-      instance.username = username;
-
-      const db = getPrisma();
-      await db.instance.update({
-        where: { apiKey },
-        data: { username }
-      });
-      await this._saveStorageState(apiKey);
+        if (rememberCredentials) await this._storeCredentials(instance, username, password);
+        await this._saveStorageState(apiKey);
 
-      return { success: true, message: 'Login successful', url: result.url };
-    }
+        return { success: true, message: 'Login successful', url: result.url };
+      }
 
-    return result;
+      return result;
+    });
   }
 
   async logout(apiKey) {
     await this.initialize();
 
-    const instance = this.getInstance(apiKey);
+    const instance = await this.getOrRestoreInstance(apiKey);
     if (!instance) throw new Error('Instance not found');
-    const { page, context } = instance;
 
-    await context.clearCookies();
-    await page.evaluate(() => { localStorage.clear(); sessionStorage.clear(); });
-    instance.username = null;
+    return this._withLock(instance, 'logout', async (instance) => {
+      const { page, context } = instance;
 
-    const db = getPrisma();
-    await db.instance.update({
-      where: { apiKey },
-      data: {
-        username: null,
-        storageState: null
-      }
-    });
+      await context.clearCookies();
+      await page.evaluate(() => { localStorage.clear(); sessionStorage.clear(); });
+      instance.username = null;
+      instance.autoLogin = false;
+      instance.sessionStatus = 'logged_out';
+      instance.lastVerifiedAt = new Date();
 
-    await page.goto('https://pro.shalom.pe/login', { waitUntil: 'domcontentloaded', timeout: 20000 });
-    return { success: true, message: 'Logged out' };
+      // Stored credentials are dropped too, otherwise the next restore would log back in
+      const db = getPrisma();
+      await db.instance.update({
+        where: { apiKey },
+        data: {
+          username: null,
+          password: null,
+          storageState: null
+        }
+      });
+
+      await page.goto('https://pro.shalom.pe/login', { waitUntil: 'domcontentloaded', timeout: 20000 });
+      return { success: true, message: 'Logged out' };
+    });
   }
 
   async closeInstance(apiKey) {
     await this.initialize();
 
+    let deleted = null;
     const instance = this.getInstance(apiKey);
     if (instance) {
-      try {
-        if (instance.context) {
-          await instance.context.close();
+      // Wait for the running operation instead of closing the page under it. The record is deleted
+      // before the lock is released, so the operations queued behind find no instance to restore
+      await this._withLock(instance, 'closeInstance', async () => {
+        instance.unloaded = true;
+        try {
+          if (instance.context) {
+            await instance.context.close();
+          }
+        } catch (error) {
+          console.error(`Error closing context for instance ${instance.id}:`, error.message);
         }
-      } catch (error) {
-        console.error(`Error closing context for instance ${instance.id}:`, error.message);
-      }
 
-      this.instances.delete(apiKey);
+        this.instances.delete(apiKey);
+        deleted = await this._deleteInstanceRecord(apiKey);
+      }, LOCK_TIMEOUT_MS, { restore: false });
     }
 
+    return deleted === null ? this._deleteInstanceRecord(apiKey) : deleted;
+  }
+
+  async _deleteInstanceRecord(apiKey) {
     try {
       const db = getPrisma();
       await db.instance.delete({
@@ -403,6 +907,35 @@ class TenantManager {
     }
   }
 
+  /**
+   * Replaces the instance's own API key. The old key stops working immediately; operations already
+   * running on the instance finish first.
+   *
+   * @returns {Promise<string|null>} - The new key, or null if the instance does not exist
+   */
+  async rotateApiKey(instanceId) {
+    await this.initialize();
+
+    const instance = await this.getOrRestoreInstanceById(instanceId);
+    if (!instance) return null;
+
+    const apiKey = uuidv4();
+    await this._withLock(instance, 'rotateApiKey', async (instance) => {
+      const db = getPrisma();
+      await db.instance.update({
+        where: { id: instanceId },
+        data: { apiKey }
+      });
+
+      this.instances.delete(instance.apiKey);
+      instance.apiKey = apiKey;
+      this.instances.set(apiKey, instance);
+    });
+
+    console.log(`[${instanceId}] API key rotated`);
+    return apiKey;
+  }
+
   async listInstances() {
     await this.initialize();
 
@@ -413,18 +946,24 @@ class TenantManager {
         apiKey: true,
         username: true,
         createdAt: true,
-        lastUsedAt: true
+        lastUsedAt: true,
+        dedicatedBrowser: true
       }
     });
 
-    return dbInstances.map(i => ({
-      id: i.id,
-      apiKey: i.apiKey,
-      username: i.username,
-      createdAt: i.createdAt,
-      lastUsedAt: i.lastUsedAt,
-      inMemory: this.instances.has(i.apiKey)
-    }));
+    return dbInstances.map(i => {
+      const live = this.instances.get(i.apiKey);
+      return {
+        id: i.id,
+        apiKey: i.apiKey,
+        username: i.username,
+        createdAt: i.createdAt,
+        lastUsedAt: i.lastUsedAt,
+        inMemory: !!live,
+        dedicatedBrowser: i.dedicatedBrowser,
+        browser: live ? live.browserSlot : null
+      };
+    });
   }
 
   async registerShipment(apiKey, shipmentData) {
@@ -432,309 +971,666 @@ class TenantManager {
 
     const instance = await this.getOrRestoreInstance(apiKey);
     if (!instance) throw new Error('Instance not found');
-    const { page } = instance;
-
-    console.log(`[${instance.id}] Starting shipment registration...`);
-    const startTime = Date.now();
-
-    try {
-      console.log(`[${instance.id}] Resetting Vue state...`);
-      await page.goto('https://pro.shalom.pe/#/home', { waitUntil: 'commit', timeout: 15000 });
-      await page.goto('https://pro.shalom.pe/#/envios', { waitUntil: 'domcontentloaded', timeout: 15000 });
-
-      await page.getByText('¿Qué tipo de producto', { exact: false }).waitFor({ state: 'visible', timeout: 8000 });
-
-      const typeMap = { 'sobre': 'Sobre', 'xxs': 'Caja Paquete XXS', 'xs': 'Caja Paquete XS', 's': 'Caja Paquete S', 'm': 'Caja Paquete M', 'l': 'Caja Paquete L', 'custom': 'Otra Medida' };
-      const typeName = typeMap[shipmentData.productType.toLowerCase()] || 'Sobre';
 
-      console.log(`[${instance.id}] Step 1: Product type: ${typeName}`);
-      await page.getByText(typeName, { exact: true }).first().click();
-      await page.getByRole('button', { name: 'Continuar' }).click();
+    return this._withLock(instance, 'registerShipment', async (instance) => {
+      const { page } = instance;
 
-      await page.getByText('¿A dónde', { exact: false }).waitFor({ state: 'visible', timeout: 8000 });
+      console.log(`[${instance.id}] Starting shipment registration...`);
+      const startTime = Date.now();
 
-      console.log(`[${instance.id}] Step 2: Origin & Destination`);
-      await this._selectLocationFast(page, 'Origen', shipmentData.origin);
-      await this._selectLocationFast(page, 'Destino', shipmentData.destination);
-
-      await page.getByRole('button', { name: 'Continuar' }).click();
-      await this._wait(800);
+      try {
+        await this._startShipmentWizard(page, instance.id, shipmentData);
+        await this._wait(800);
 
-      console.log(`[${instance.id}] Step 3: Warranty`);
-      await page.getByText('No deseo Garantía').click().catch(() => { });
-      await page.getByRole('button', { name: 'Continuar' }).click();
+        console.log(`[${instance.id}] Step 3: Warranty`);
+        await page.getByText('No deseo Garantía').click().catch(() => { });
+        await page.getByRole('button', { name: 'Continuar' }).click();
 
-      const dniInput = page.locator('input[placeholder="DNI"]').nth(1);
-      await dniInput.waitFor({ state: 'visible', timeout: 8000 });
+        const dniInput = page.locator('input[placeholder="DNI"]').nth(1);
+        await dniInput.waitFor({ state: 'visible', timeout: 8000 });
 
-      console.log(`[${instance.id}] Step 4: Recipient DNI`);
-      await dniInput.fill(shipmentData.recipient.documentNumber);
+        console.log(`[${instance.id}] Step 4: Recipient DNI`);
+        await dniInput.fill(shipmentData.recipient.documentNumber);
 
-      // Wait for potential autocomplete
-      await this._wait(2000);
+        // Wait for potential autocomplete
+        await this._wait(2000);
 
-      // Explicitly fill Name and Phone
-      const nameInput = page.locator('input[placeholder="Nombre"], input[placeholder="Nombres"], input[placeholder="Nombre Completo"]').first();
+        // Explicitly fill Name and Phone
+        const nameInput = page.locator('input[placeholder="Nombre"], input[placeholder="Nombres"], input[placeholder="Nombre Completo"]').first();
       
-      if (shipmentData.recipient.name && await nameInput.isVisible()) {
-        const currentName = await nameInput.inputValue();
-        if (!currentName || currentName.trim() === '') {
-          console.log(`[${instance.id}] Name not autocompleted, filling manually: ${shipmentData.recipient.name}`);
-          await nameInput.fill(shipmentData.recipient.name);
-        } else {
-           console.log(`[${instance.id}] Name autocompleted (${currentName}), skipping manual fill.`);
+        if (shipmentData.recipient.name && await nameInput.isVisible()) {
+          const currentName = await nameInput.inputValue();
+          if (!currentName || currentName.trim() === '') {
+            console.log(`[${instance.id}] Name not autocompleted, filling manually: ${shipmentData.recipient.name}`);
+            await nameInput.fill(shipmentData.recipient.name);
+          } else {
+             console.log(`[${instance.id}] Name autocompleted (${currentName}), skipping manual fill.`);
+          }
         }
-      }
 
-      if (shipmentData.recipient.phone) {
-        console.log(`[${instance.id}] Filling recipient phone: ${shipmentData.recipient.phone}`);
-        const phoneInput = page.locator('input[placeholder="Teléfono"], input[placeholder="Celular"], input[placeholder="Móvil"]').first();
-        if (await phoneInput.isVisible()) {
-          await phoneInput.fill(shipmentData.recipient.phone);
+        if (shipmentData.recipient.phone) {
+          console.log(`[${instance.id}] Filling recipient phone: ${shipmentData.recipient.phone}`);
+          const phoneInput = page.locator('input[placeholder="Teléfono"], input[placeholder="Celular"], input[placeholder="Móvil"]').first();
+          if (await phoneInput.isVisible()) {
+            await phoneInput.fill(shipmentData.recipient.phone);
+          }
         }
-      }
 
-      await page.getByRole('button', { name: 'Continuar' }).click();
-      await this._wait(800);
+        await page.getByRole('button', { name: 'Continuar' }).click();
+        await this._wait(800);
 
-      console.log(`[${instance.id}] Step 5: Secure Billing`);
-      // User removed secureBilling from API, always default to "No deseo"
-      await page.getByText('No deseo el servicio').click().catch(() => { });
-      await page.getByRole('button', { name: 'Continuar' }).click();
-      await this._wait(800);
+        console.log(`[${instance.id}] Step 5: Secure Billing`);
+        // User removed secureBilling from API, always default to "No deseo"
+        await page.getByText('No deseo el servicio').click().catch(() => { });
+        await page.getByRole('button', { name: 'Continuar' }).click();
+        await this._wait(800);
 
-      console.log(`[${instance.id}] Step 6: Checking for Sworn Declaration...`);
-      // Use a race condition or a quick check, sometimes it appears immediately
-      const declaracionLocator = page.getByText('Declaración Jurada', { exact: false });
+        console.log(`[${instance.id}] Step 6: Checking for Sworn Declaration...`);
+        // Use a race condition or a quick check, sometimes it appears immediately
+        const declaracionLocator = page.getByText('Declaración Jurada', { exact: false });
       
-      try {
-        // Wait briefly to see if it appears
-        await declaracionLocator.waitFor({ state: 'visible', timeout: 3000 });
-        console.log(`[${instance.id}] Sworn Declaration detected`);
+        try {
+          // Wait briefly to see if it appears
+          await declaracionLocator.waitFor({ state: 'visible', timeout: 3000 });
+          console.log(`[${instance.id}] Sworn Declaration detected`);
         
-        const contentType = shipmentData.contentType || 'Documentos';
+          const contentType = shipmentData.contentType || 'Documentos';
         
-        // Try to click the specific content type, fallback to 'Documentos'
-        const contentOption = page.getByText(contentType, { exact: true });
-        if (await contentOption.isVisible()) {
-             await contentOption.click();
-        } else {
-             await page.getByText('Documentos', { exact: true }).click();
+          // Try to click the specific content type, fallback to 'Documentos'
+          const contentOption = page.getByText(contentType, { exact: true });
+          if (await contentOption.isVisible()) {
+               await contentOption.click();
+          } else {
+               await page.getByText('Documentos', { exact: true }).click();
+          }
+          await this._wait(500);
+        } catch (e) {
+          // Not visible, continue
+          console.log(`[${instance.id}] No Sworn Declaration popup detected.`);
         }
+
+        console.log(`[${instance.id}] Step 7: Security Code`);
+        const code = shipmentData.securityCode || '5858';
+
+        await page.getByRole('button', { name: code[0], exact: true }).waitFor({ state: 'visible', timeout: 8000 });
+
+        for (const digit of code) {
+          await page.getByRole('button', { name: digit, exact: true }).click();
+          await this._wait(150);
+        }
+
+        await page.getByRole('button', { name: 'Continuar' }).click();
+
+        await page.getByText('Registrado', { exact: false }).waitFor({ state: 'visible', timeout: 10000 }).catch(() => { });
         await this._wait(500);
-      } catch (e) {
-        // Not visible, continue
-        console.log(`[${instance.id}] No Sworn Declaration popup detected.`);
+
+        const result = await this._getRegistrationResult(page);
+
+        const elapsed = Date.now() - startTime;
+        console.log(`[${instance.id}] Registration completed in ${elapsed}ms`);
+
+        instance.lastShipmentTime = Date.now();
+
+        await this._saveStorageState(apiKey);
+
+        return result;
+      } catch (error) {
+        console.error(`[${instance.id}] Shipment registration error:`, error);
+      
+        // Capture error screenshot
+        try {
+          await page.screenshot({ path: `error-${instance.id}-${Date.now()}.png` });
+        } catch (e) { }
+
+        return {
+          success: false,
+          error: error.message,
+          details: 'Registration failed'
+        };
       }
+    });
+  }
 
-      console.log(`[${instance.id}] Step 7: Security Code`);
-      const code = shipmentData.securityCode || '5858';
+  // Steps 1 and 2 of the single-shipment wizard: product type, then origin and destination.
+  // Ends after clicking Continuar on the locations step, where Shalom shows the tariff.
+  async _startShipmentWizard(page, instanceId, { productType, origin, destination, dimensions }) {
+    console.log(`[${instanceId}] Resetting Vue state...`);
+    await page.goto('https://pro.shalom.pe/#/home', { waitUntil: 'commit', timeout: 15000 });
+    await page.goto('https://pro.shalom.pe/#/envios', { waitUntil: 'domcontentloaded', timeout: 15000 });
 
-      await page.getByRole('button', { name: code[0], exact: true }).waitFor({ state: 'visible', timeout: 8000 });
+    await page.getByText('¿Qué tipo de producto', { exact: false }).waitFor({ state: 'visible', timeout: 8000 });
 
-      for (const digit of code) {
-        await page.getByRole('button', { name: digit, exact: true }).click();
-        await this._wait(150);
+    const typeMap = { 'sobre': 'Sobre', 'xxs': 'Caja Paquete XXS', 'xs': 'Caja Paquete XS', 's': 'Caja Paquete S', 'm': 'Caja Paquete M', 'l': 'Caja Paquete L', 'custom': 'Otra Medida' };
+    const typeName = typeMap[productType.toLowerCase()] || 'Sobre';
+
+    console.log(`[${instanceId}] Step 1: Product type: ${typeName}`);
+    await page.getByText(typeName, { exact: true }).first().click();
+
+    if (typeName === 'Otra Medida' && dimensions) {
+      const fields = { Alto: dimensions.height, Ancho: dimensions.width, Largo: dimensions.length, Peso: dimensions.weight };
+      for (const [placeholder, value] of Object.entries(fields)) {
+        const input = page.locator(`input[placeholder*="${placeholder}"]`).first();
+        await input.waitFor({ state: 'visible', timeout: 5000 });
+        await input.fill(String(value));
       }
+    }
 
-      await page.getByRole('button', { name: 'Continuar' }).click();
+    await page.getByRole('button', { name: 'Continuar' }).click();
 
-      await page.getByText('Registrado', { exact: false }).waitFor({ state: 'visible', timeout: 10000 }).catch(() => { });
-      await this._wait(500);
+    await page.getByText('¿A dónde', { exact: false }).waitFor({ state: 'visible', timeout: 8000 });
 
-      const result = await this._getRegistrationResult(page);
+    console.log(`[${instanceId}] Step 2: Origin & Destination`);
+    await this._selectLocationFast(page, 'Origen', origin);
+    await this._selectLocationFast(page, 'Destino', destination);
 
-      const elapsed = Date.now() - startTime;
-      console.log(`[${instance.id}] Registration completed in ${elapsed}ms`);
+    await page.getByRole('button', { name: 'Continuar' }).click();
+  }
 
-      instance.lastShipmentTime = Date.now();
+  /**
+   * Gets the tariff Shalom shows for a route and product type by walking the single-shipment
+   * wizard up to the price, then leaving it without confirming anything.
+   *
+   * @param {string} apiKey
+   * @param {Object} quoteData - { productType, origin, destination, dimensions? } where dimensions
+   *                             ({ height, width, length, weight }) is required for 'custom'
+   * @returns {Promise<Object>} - { success, price, currency } or { success: false, message }
+   */
+  async quoteShipment(apiKey, quoteData) {
+    await this.initialize();
 
-      await this._saveStorageState(apiKey);
+    const instance = await this.getOrRestoreInstance(apiKey);
+    if (!instance) throw new Error('Instance not found');
+
+    return this._withLock(instance, 'quoteShipment', async (instance) => {
+      const { page } = instance;
+
+      console.log(`[${instance.id}] Requesting quote...`);
 
-      return result;
-    } catch (error) {
-      console.error(`[${instance.id}] Shipment registration error:`, error);
-      
-      // Capture error screenshot
       try {
-        await page.screenshot({ path: `error-${instance.id}-${Date.now()}.png` });
-      } catch (e) { }
+        await this._startShipmentWizard(page, instance.id, quoteData);
 
-      return {
-        success: false,
-        error: error.message,
-        details: 'Registration failed'
-      };
-    }
+        await page.getByText(/S\/\s*\d/).first().waitFor({ state: 'visible', timeout: 8000 });
+        const text = await page.locator('body').innerText();
+        const priceMatch = text.match(/S\/\.?\s*([\d]+(?:[.,]\d+)?)/);
+
+        if (!priceMatch) {
+          const errorMsg = await page.locator('.swal2-title').innerText().catch(() => 'Tariff not found');
+          return { success: false, message: errorMsg };
+        }
+
+        return { success: true, price: parseFloat(priceMatch[1].replace(',', '.')), currency: 'PEN' };
+      } catch (error) {
+        console.error(`[${instance.id}] Quote error:`, error.message);
+        try {
+          await page.screenshot({ path: `error-quote-${instance.id}-${Date.now()}.png` });
+        } catch (e) { }
+        return { success: false, message: error.message };
+      } finally {
+        // Leave the wizard so the half-filled shipment is discarded
+        await page.goto('https://pro.shalom.pe/#/home', { waitUntil: 'commit', timeout: 15000 }).catch(() => { });
+      }
+    });
   }
 
   async registerMassiveShipment(apiKey, filePath, securityCode = '8002') {
     await this.initialize();
     const instance = await this.getOrRestoreInstance(apiKey);
     if (!instance) throw new Error('Instance not found');
-    const { page } = instance;
 
-    console.log(`[${instance.id}] Starting massive shipment registration...`);
-    const startTime = Date.now();
+    return this._withLock(instance, 'registerMassiveShipment', async (instance) => {
+      const { page } = instance;
 
-    try {
-      console.log(`[${instance.id}] Navigating to shipment list...`);
-      await page.goto('https://pro.shalom.pe/#/envios/list', { waitUntil: 'domcontentloaded', timeout: 15000 });
-      // Force reload to ensure clean state as requested
-      await page.reload({ waitUntil: 'domcontentloaded' });
-      await this._wait(2000);
-
-      // Upload Excel
-      console.log(`[${instance.id}] Uploading Excel file: ${filePath}`);
-      const filePromise = page.waitForEvent('filechooser');
+      console.log(`[${instance.id}] Starting massive shipment registration...`);
+      const startTime = Date.now();
+
+      const rows = readMassiveShipmentExcel(filePath);
+
+      // Every row counts against the shipment quotas until the upload tells how many became orders
+      await limits.reserveShipments(instance.id, rows.length);
+      let reserved = rows.length;
+
+      try {
+        // Snapshot the pending list so the orders created by this upload can be told apart afterwards
+        console.log(`[${instance.id}] Reading pending shipments before upload...`);
+        const previousOrders = new Set((await this._scrapePendingShipments(page)).map(o => o.orderNumber));
+
+        console.log(`[${instance.id}] Navigating to shipment list...`);
+        await page.goto('https://pro.shalom.pe/#/envios/list', { waitUntil: 'domcontentloaded', timeout: 15000 });
+        // Force reload to ensure clean state as requested
+        await page.reload({ waitUntil: 'domcontentloaded' });
+        await this._wait(2000);
+
+        // Upload Excel
+        console.log(`[${instance.id}] Uploading Excel file: ${filePath}`);
+        const filePromise = page.waitForEvent('filechooser');
       
-      const massiveBtn = page.getByText('Carga masiva de envíos', { exact: false });
-      if (await massiveBtn.isVisible()) {
-          await massiveBtn.click();
-      } else {
-          // Check if it is inside "Registra" menu
-          console.log(`[${instance.id}] Massive button not visible, checking menu...`);
-          const registraMenu = page.locator('text=Registra').first();
-          if (await registraMenu.isVisible()) {
-              await registraMenu.click();
-              await this._wait(500);
-              if (await massiveBtn.isVisible()) {
-                  await massiveBtn.click();
-              } else {
-                  throw new Error('Massive shipment button not found even after opening menu');
-              }
-          } else {
-              throw new Error('Massive shipment button not found');
-          }
-      }
+        const massiveBtn = page.getByText('Carga masiva de envíos', { exact: false });
+        if (await massiveBtn.isVisible()) {
+            await massiveBtn.click();
+        } else {
+            // Check if it is inside "Registra" menu
+            console.log(`[${instance.id}] Massive button not visible, checking menu...`);
+            const registraMenu = page.locator('text=Registra').first();
+            if (await registraMenu.isVisible()) {
+                await registraMenu.click();
+                await this._wait(500);
+                if (await massiveBtn.isVisible()) {
+                    await massiveBtn.click();
+                } else {
+                    throw new Error('Massive shipment button not found even after opening menu');
+                }
+            } else {
+                throw new Error('Massive shipment button not found');
+            }
+        }
       
-      const fileChooser = await filePromise;
-      await fileChooser.setFiles(filePath);
-
-      // Handle "Subida exitosa" dialog
-      await page.getByRole('button', { name: 'OK' }).waitFor({ state: 'visible', timeout: 10000 });
-      await page.getByRole('button', { name: 'OK' }).click();
-      await this._wait(1000);
-
-      // Set Security Code
-      console.log(`[${instance.id}] Setting security code: ${securityCode}`);
-      // Try to find the button by title or image inside
-      const keyButton = page.locator('button[title="Clave de seguridad masiva"]');
-      if (await keyButton.isVisible()) {
-          await keyButton.click();
-      } else {
-          // Fallback if title selector fails, try by icon context or position
-          // Based on previous snapshots, it's near the delete button
-          await page.locator('.btn-warning').first().click(); 
-      }
+        const fileChooser = await filePromise;
+        await fileChooser.setFiles(filePath);
+
+        // Handle "Subida exitosa" dialog
+        await page.getByRole('button', { name: 'OK' }).waitFor({ state: 'visible', timeout: 10000 });
+        await page.getByRole('button', { name: 'OK' }).click();
+        await this._wait(1000);
+
+        // Set Security Code
+        console.log(`[${instance.id}] Setting security code: ${securityCode}`);
+        // Try to find the button by title or image inside
+        const keyButton = page.locator('button[title="Clave de seguridad masiva"]');
+        if (await keyButton.isVisible()) {
+            await keyButton.click();
+        } else {
+            // Fallback if title selector fails, try by icon context or position
+            // Based on previous snapshots, it's near the delete button
+            await page.locator('.btn-warning').first().click(); 
+        }
       
-      await page.getByRole('button', { name: 'Sí' }).click(); // Confirm "Quiere ingresar clave..."
+        await page.getByRole('button', { name: 'Sí' }).click(); // Confirm "Quiere ingresar clave..."
 
-      // Fill code digits
-      const code = securityCode.toString();
-      await page.locator('.input-keyCode-1').fill(code[0]);
-      await page.locator('.input-keyCode-2').fill(code[1]);
-      await page.locator('.input-keyCode-3').fill(code[2]);
-      await page.locator('.input-keyCode-4').fill(code[3]);
+        // Fill code digits
+        const code = securityCode.toString();
+        await page.locator('.input-keyCode-1').fill(code[0]);
+        await page.locator('.input-keyCode-2').fill(code[1]);
+        await page.locator('.input-keyCode-3').fill(code[2]);
+        await page.locator('.input-keyCode-4').fill(code[3]);
 
-      await page.getByText('GENERAR').click();
+        await page.getByText('GENERAR').click();
       
-      // Confirm "Se ha asignado la clave..."
-      await page.getByRole('button', { name: 'Confirmar' }).waitFor({ state: 'visible' });
-      await page.getByRole('button', { name: 'Confirmar' }).click();
-      await this._wait(1000);
-
-      // Continue and Finalize
-      console.log(`[${instance.id}] Finalizing registration...`);
-      // Click "Continuar" (using specific class to avoid ambiguity with origin/destination continue buttons)
-      // Use .btn-continuar which is specific to the footer action
-      await page.locator('.btn-continuar').click();
-      await this._wait(1000);
-
-      // Confirm "¿Enviar?"
-      // Sometimes there is a second confirmation or it takes time
-      const confirmBtn = page.getByRole('button', { name: 'Confirmar' });
-      if (await confirmBtn.isVisible()) {
-          await confirmBtn.click();
-      } else {
-          // If Confirmar is not immediately visible, wait for it
-          await confirmBtn.waitFor({ state: 'visible', timeout: 5000 });
-          await confirmBtn.click();
-      }
+        // Confirm "Se ha asignado la clave..."
+        await page.getByRole('button', { name: 'Confirmar' }).waitFor({ state: 'visible' });
+        await page.getByRole('button', { name: 'Confirmar' }).click();
+        await this._wait(1000);
+
+        // Continue and Finalize
+        console.log(`[${instance.id}] Finalizing registration...`);
+        // Click "Continuar" (using specific class to avoid ambiguity with origin/destination continue buttons)
+        // Use .btn-continuar which is specific to the footer action
+        await page.locator('.btn-continuar').click();
+        await this._wait(1000);
+
+        // Confirm "¿Enviar?"
+        // Sometimes there is a second confirmation or it takes time
+        const confirmBtn = page.getByRole('button', { name: 'Confirmar' });
+        if (await confirmBtn.isVisible()) {
+            await confirmBtn.click();
+        } else {
+            // If Confirmar is not immediately visible, wait for it
+            await confirmBtn.waitFor({ state: 'visible', timeout: 5000 });
+            await confirmBtn.click();
+        }
       
-      await this._wait(1000);
-
-      // Confirm "Envíos solicitados" (Final OK)
-      // Wait longer for processing
-      await page.getByRole('button', { name: 'OK' }).waitFor({ state: 'visible', timeout: 60000 });
-      await page.getByRole('button', { name: 'OK' }).click();
-      await this._wait(1000);
-
-      // Scrape Pending Shipments
-      console.log(`[${instance.id}] Navigating to pending shipments for details...`);
-      await page.goto('https://pro.shalom.pe/#/solicitud/pendientes', { waitUntil: 'domcontentloaded' });
-      await page.waitForSelector('text=N° de Orden', { timeout: 10000 }).catch(() => console.log('No shipments found or timeout'));
-      await this._wait(1500);
+        await this._wait(1000);
 
-      const shipments = await page.evaluate(() => {
-        const results = [];
-        const elements = Array.from(document.querySelectorAll('*'));
-        const orderLabels = elements.filter(el => 
-            el.children.length === 0 && el.textContent && el.textContent.includes('N° de Orden')
-        );
-
-        orderLabels.forEach(label => {
-            let container = label.parentElement;
-            let attempts = 0;
-            while (container && attempts < 6) {
-                const text = container.innerText || '';
-                if (text.includes('Código') && text.includes('S/')) {
-                    const orderMatch = text.match(/N° de Orden:?\s*(\d+)/i);
-                    const codeMatch = text.match(/Código:?\s*([A-Z0-9]+)/i);
-                    const costMatch = text.match(/S\/\.?\s*([\d.]+)/);
-                      // Check for class 'time-deleted' on the container, its ancestors, or inside it
-                      const isDeleted = !!container.closest('.time-deleted') || !!container.querySelector('.time-deleted');
- 
-                      if (orderMatch && !isDeleted) {
-                         const exists = results.find(r => r.orderNumber === orderMatch[1]);
-                         if (!exists) {
-                             results.push({
-                                 orderNumber: orderMatch[1],
-                                 code: codeMatch ? codeMatch[1] : 'N/A',
-                                 cost: costMatch ? costMatch[1] : '0.00'
-                             });
-                         }
-                    }
-                    break;
-                }
-                container = container.parentElement;
-                attempts++;
-            }
-        });
-         // Return only the last valid result (as requested by user)
-         return results.length > 0 ? [results[results.length - 1]] : [];
-       });
+        // Confirm "Envíos solicitados" (Final OK)
+        // Wait longer for processing
+        await page.getByRole('button', { name: 'OK' }).waitFor({ state: 'visible', timeout: 60000 });
+        await page.getByRole('button', { name: 'OK' }).click();
+        await this._wait(1000);
+
+        // Scrape Pending Shipments: orders that were not listed before the upload belong to this batch
+        console.log(`[${instance.id}] Navigating to pending shipments for details...`);
+        const pending = await this._scrapePendingShipments(page);
+        const createdOrders = pending.filter(o => !o.deleted && !previousOrders.has(o.orderNumber));
+        const { shipments, unmatchedRows, unmatchedOrders } = this._matchOrdersToRows(createdOrders, rows);
 
-      const elapsed = Date.now() - startTime;
-      console.log(`[${instance.id}] Massive registration completed in ${elapsed}ms. Found ${shipments.length} shipment(s).`);
+        const elapsed = Date.now() - startTime;
+        console.log(`[${instance.id}] Massive registration completed in ${elapsed}ms. Found ${createdOrders.length} shipment(s) for ${rows.length} row(s).`);
       
-      instance.lastShipmentTime = Date.now();
+        await limits.releaseShipments(instance.id, Math.max(0, rows.length - createdOrders.length));
+        reserved = 0;
+
+        instance.lastShipmentTime = Date.now();
+        await this._saveStorageState(apiKey);
+
+        return { 
+            success: true, 
+            message: 'Massive shipment registered successfully', 
+            elapsed,
+            shipments,
+            unmatchedRows,
+            unmatchedOrders
+        };
+
+      } catch (error) {
+        console.error(`[${instance.id}] Massive registration error:`, error);
+        await limits.releaseShipments(instance.id, reserved);
+        try {
+          await page.screenshot({ path: `error-massive-${instance.id}-${Date.now()}.png` });
+        } catch (e) { }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Lists the requests Shalom holds in #/solicitud/pendientes, including deleted ones.
+   *
+   * @param {string} apiKey
+   * @returns {Promise<Array>} - { orderNumber, code, cost, deleted, destination, date } per request;
+   *                             destination and date are null when the card does not show them
+   */
+  async listPendingShipments(apiKey) {
+    await this.initialize();
+
+    const instance = await this.getOrRestoreInstance(apiKey);
+    if (!instance) throw new Error('Instance not found');
+
+    return this._withLock(instance, 'listPendingShipments', async (instance) => {
+      const orders = await this._scrapePendingShipments(instance.page);
+      if (instance.page.url().includes('login')) throw new Error('Instance is not logged in');
+
+      return orders.map(({ text, ...order }) => order);
+    });
+  }
+
+  // Reads every request card listed in #/solicitud/pendientes, including deleted ones
+  async _scrapePendingShipments(page) {
+    await page.goto('https://pro.shalom.pe/#/solicitud/pendientes', { waitUntil: 'domcontentloaded' });
+    await page.waitForSelector('text=N° de Orden', { timeout: 10000 }).catch(() => console.log('No shipments found or timeout'));
+    await this._wait(1500);
+
+    return page.evaluate(collectPendingCards);
+  }
+
+  // Tags the delete control of an order card in #/solicitud/pendientes so Playwright can click it.
+  // Returns 'marked', 'not_found', or 'no_action' when the card has no delete control (already dispatched).
+  async _markPendingCancelButton(page, orderNumber) {
+    await page.evaluate(collectPendingCards);
+
+    return page.evaluate((orderNumber) => {
+      document.querySelectorAll('[data-cancel-target]').forEach(el => el.removeAttribute('data-cancel-target'));
+
+      const card = document.querySelector(`[data-pending-order="${orderNumber}"]`);
+      if (!card) return 'not_found';
+
+      const control = Array.from(card.querySelectorAll('button, a, i, span, [role="button"]')).find(el => {
+        const hint = `${el.innerText || ''} ${el.getAttribute('title') || ''} ${el.className || ''}`.toLowerCase();
+        return /eliminar|anular|cancelar|trash|delete/.test(hint);
+      });
+      if (!control) return 'no_action';
+
+      control.setAttribute('data-cancel-target', orderNumber);
+      return 'marked';
+    }, String(orderNumber));
+  }
+
+  /**
+   * Deletes pending shipment requests in #/solicitud/pendientes and checks that each one is listed
+   * as deleted afterwards. Orders already dispatched have no delete control and are reported as
+   * not cancellable.
+   *
+   * @param {string} apiKey
+   * @param {Array<string>} orderNumbers
+   * @returns {Promise<Array>} - One { orderNumber, status, error? } per order, where status is
+   *                             cancelled, already_cancelled, not_found, not_cancellable or failed
+   */
+  async cancelPendingShipments(apiKey, orderNumbers) {
+    await this.initialize();
+
+    const instance = await this.getOrRestoreInstance(apiKey);
+    if (!instance) throw new Error('Instance not found');
+
+    return this._withLock(instance, 'cancelPendingShipments', async (instance) => {
+      const { page } = instance;
+      const results = [];
+
+      let orders = await this._scrapePendingShipments(page);
+      if (page.url().includes('login')) throw new Error('Instance is not logged in');
+
+      for (const orderNumber of orderNumbers) {
+        const order = orders.find(o => o.orderNumber === String(orderNumber));
+        if (!order) {
+          results.push({ orderNumber, status: 'not_found', error: 'Order is not in the pending requests list' });
+          continue;
+        }
+        if (order.deleted) {
+          results.push({ orderNumber, status: 'already_cancelled' });
+          continue;
+        }
+
+        try {
+          console.log(`[${instance.id}] Cancelling pending order ${orderNumber}...`);
+          const marked = await this._markPendingCancelButton(page, orderNumber);
+          if (marked !== 'marked') {
+            results.push({ orderNumber, status: 'not_cancellable', error: 'Order can no longer be cancelled' });
+            continue;
+          }
+
+          await page.locator(`[data-cancel-target="${orderNumber}"]`).first().click();
+
+          // Confirmation dialog ("¿Desea eliminar...?")
+          const confirmBtn = page.getByRole('button', { name: /^(Sí|Si|Confirmar|Aceptar|Eliminar)$/i }).last();
+          await confirmBtn.waitFor({ state: 'visible', timeout: 5000 });
+          await confirmBtn.click();
+          await this._wait(2000);
+
+          orders = await this._scrapePendingShipments(page);
+          const updated = orders.find(o => o.orderNumber === String(orderNumber));
+          if (!updated || updated.deleted) {
+            results.push({ orderNumber, status: 'cancelled' });
+          } else {
+            results.push({ orderNumber, status: 'failed', error: 'Order is still pending after the delete confirmation' });
+          }
+        } catch (error) {
+          console.error(`[${instance.id}] Failed to cancel order ${orderNumber}:`, error.message);
+          try {
+            await page.screenshot({ path: `error-cancel-${instance.id}-${Date.now()}.png` });
+          } catch (e) { }
+          results.push({ orderNumber, status: 'failed', error: error.message });
+          orders = await this._scrapePendingShipments(page).catch(() => orders);
+        }
+      }
+
       await this._saveStorageState(apiKey);
+      return results;
+    });
+  }
 
-      return { 
-          success: true, 
-          message: 'Massive shipment registered successfully', 
-          elapsed,
-          shipments
-      };
+  // Pairs the orders created by a massive upload with the input rows. Cards are matched by the
+  // GRR, the recipient document or the destination agency found in their text; if cards and rows
+  // are still left over in equal number they are paired by ascending order number, which follows
+  // the row order of the sheet.
+  _matchOrdersToRows(orders, rows) {
+    const normalize = (value) => String(value || '')
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .toUpperCase().trim();
+
+    const rowInfo = rows.map((r, index) => ({
+      row: index + 1,
+      grr: r.grr || null,
+      recipientDoc: r.recipientDoc || null,
+      destination: r.destination || null
+    }));
 
-    } catch (error) {
-      console.error(`[${instance.id}] Massive registration error:`, error);
-      try {
-        await page.screenshot({ path: `error-massive-${instance.id}-${Date.now()}.png` });
-      } catch (e) { }
-      throw error;
+    const candidates = [
+      { field: 'grr', weight: 4 },
+      { field: 'recipientDoc', weight: 2 },
+      { field: 'destination', weight: 1 }
+    ];
+
+    const shipments = [];
+    const usedRows = new Set();
+    const pendingOrders = [];
+
+    for (const order of orders) {
+      const text = normalize(order.text);
+      let best = null;
+
+      for (const info of rowInfo) {
+        if (usedRows.has(info.row)) continue;
+
+        let score = 0;
+        let matchedBy = null;
+        for (const { field, weight } of candidates) {
+          // Destinations are matched on the agency name (last segment of "DEPTO / PROV / DIST / AGENCIA")
+          const value = field === 'destination'
+            ? normalize(String(info.destination || '').split('/').pop().replace(/-\s*AEREO$/i, ''))
+            : normalize(info[field]);
+          if (value && text.includes(value)) {
+            score += weight;
+            matchedBy = matchedBy || field;
+          }
+        }
+
+        if (score > 0 && (!best || score > best.score)) {
+          best = { info, score, matchedBy };
+        }
+      }
+
+      if (best) {
+        usedRows.add(best.info.row);
+        shipments.push({ orderNumber: order.orderNumber, code: order.code, cost: order.cost, ...best.info, matchedBy: best.matchedBy });
+      } else {
+        pendingOrders.push(order);
+      }
     }
+
+    let remainingRows = rowInfo.filter(info => !usedRows.has(info.row));
+
+    if (pendingOrders.length > 0 && pendingOrders.length === remainingRows.length) {
+      const byOrderNumber = [...pendingOrders].sort((a, b) => Number(a.orderNumber) - Number(b.orderNumber));
+      byOrderNumber.forEach((order, i) => {
+        shipments.push({ orderNumber: order.orderNumber, code: order.code, cost: order.cost, ...remainingRows[i], matchedBy: 'sequence' });
+      });
+      pendingOrders.length = 0;
+      remainingRows = [];
+    }
+
+    shipments.sort((a, b) => a.row - b.row);
+
+    return {
+      shipments,
+      unmatchedRows: remainingRows,
+      unmatchedOrders: pendingOrders.map(({ orderNumber, code, cost }) => ({ orderNumber, code, cost }))
+    };
+  }
+
+  // Reads the agency options of the Origen and Destino dropdowns in the shipment wizard
+  async scrapeAgencies(apiKey) {
+    await this.initialize();
+
+    const instance = await this.getOrRestoreInstance(apiKey);
+    if (!instance) throw new Error('Instance not found');
+
+    return this._withLock(instance, 'scrapeAgencies', async (instance) => {
+      const { page } = instance;
+
+      console.log(`[${instance.id}] Scraping agency catalog...`);
+      await page.goto('https://pro.shalom.pe/#/home', { waitUntil: 'commit', timeout: 15000 });
+      await page.goto('https://pro.shalom.pe/#/envios', { waitUntil: 'domcontentloaded', timeout: 15000 });
+
+      if (page.url().includes('login')) throw new Error('Instance is not logged in');
+
+      await page.getByText('¿Qué tipo de producto', { exact: false }).waitFor({ state: 'visible', timeout: 8000 });
+      await page.getByText('Sobre', { exact: true }).first().click();
+      await page.getByRole('button', { name: 'Continuar' }).click();
+      await page.getByText('¿A dónde', { exact: false }).waitFor({ state: 'visible', timeout: 8000 });
+
+      const labels = new Set();
+      for (const placeholder of ['Origen', 'Destino']) {
+        const multiselect = page.locator('.multiselect').filter({ hasText: placeholder }).first();
+        await multiselect.click();
+        await this._wait(1000);
+
+        const options = await multiselect.locator('.multiselect__option').allInnerTexts();
+        // Agency labels look like "DEPTO / PROV / DIST / AGENCIA"; this skips "no results" placeholders
+        options.map(o => o.trim()).filter(o => o.includes('/')).forEach(o => labels.add(o));
+
+        await page.keyboard.press('Escape');
+        await this._wait(300);
+      }
+
+      console.log(`[${instance.id}] Found ${labels.size} agencies`);
+      if (labels.size === 0) throw new Error('No agencies found in the Origen/Destino dropdowns');
+
+      return [...labels];
+    });
+  }
+
+  /**
+   * Reads the current state and timeline of an order from the Rastreo screen of Shalom Pro.
+   *
+   * @param {string} apiKey
+   * @param {string} orderNumber - N° de Orden returned by the registration
+   * @returns {Promise<Object|null>} - Raw values for formatTracking(), or null when the order is not found
+   */
+  async getTracking(apiKey, orderNumber) {
+    await this.initialize();
+
+    const instance = await this.getOrRestoreInstance(apiKey);
+    if (!instance) throw new Error('Instance not found');
+
+    return this._withLock(instance, 'getTracking', async (instance) => {
+      const { page } = instance;
+
+      console.log(`[${instance.id}] Reading tracking of order ${orderNumber}...`);
+      await page.goto('https://pro.shalom.pe/#/home', { waitUntil: 'commit', timeout: 15000 });
+      await page.goto('https://pro.shalom.pe/#/rastreo', { waitUntil: 'domcontentloaded', timeout: 15000 });
+
+      if (page.url().includes('login')) throw new Error('Instance is not logged in');
+
+      const search = page.locator('input[placeholder*="rden"], input[placeholder*="úmero"], input[type="search"]').first();
+      await search.waitFor({ state: 'visible', timeout: 8000 });
+      await search.fill(String(orderNumber));
+      await search.press('Enter');
+
+      await page.waitForSelector('text=Estado', { timeout: 10000 }).catch(() => console.log('Tracking result not found or timeout'));
+      await this._wait(1500);
+
+      return page.evaluate((orderNumber) => {
+        const text = document.body.innerText || '';
+        if (!text.includes(orderNumber)) return null;
+
+        const field = (name) => {
+          const match = text.match(new RegExp(`${name}:?\\s*([^\\n]+)`, 'i'));
+          return match ? match[1].trim() : null;
+        };
+        const codeMatch = text.match(/Código:?\s*([A-Z0-9]+)/i);
+
+        // Timeline entries are the list items that carry a date (dd/mm/yyyy, optionally with time)
+        const datePattern = /(\d{2}\/\d{2}\/\d{4})(?:\s+(\d{1,2}:\d{2}(?::\d{2})?(?:\s*[ap]\.?\s*m\.?)?))?/i;
+        const timeline = [];
+        const items = document.querySelectorAll('[class*="timeline"] li, [class*="timeline-item"], [class*="step"], [class*="tracking"] li');
+        items.forEach(item => {
+          const itemText = (item.innerText || '').trim();
+          const dateMatch = itemText.match(datePattern);
+          if (!dateMatch) return;
+
+          const label = itemText.split('\n').map(l => l.trim()).find(l => l && !datePattern.test(l));
+          if (label && !timeline.find(t => t.label === label && t.date === dateMatch[0])) {
+            timeline.push({ label, date: dateMatch[0] });
+          }
+        });
+
+        return {
+          orderNumber,
+          code: codeMatch ? codeMatch[1] : null,
+          statusLabel: field('Estado'),
+          origin: field('Origen'),
+          destination: field('Destino'),
+          timeline
+        };
+      }, String(orderNumber));
+    });
   }
 
   async _selectLocationFast(page, placeholder, text) {
@@ -770,6 +1666,9 @@ class TenantManager {
 
   async shutdown() {
     console.log('Shutting down TenantManager...');
+    this.isShuttingDown = true;
+    this.stopKeepAlive();
+    this.stopIdleEviction();
 
     for (const [apiKey, instance] of this.instances) {
       try {
@@ -780,10 +1679,7 @@ class TenantManager {
       }
     }
 
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-    }
+    await browserPool.shutdown();
 
     const db = getPrisma();
     await db.$disconnect();
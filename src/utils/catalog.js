@@ -0,0 +1,207 @@
+const seedLabels = require('../data/agencies');
+const { getPrisma } = require('../db');
+
+const AIR_SUFFIX = ' - AEREO';
+
+/**
+ * Normalizes a location for comparison: uppercase, no accents, no punctuation, single spaces.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function normalize(value) {
+  return String(value || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[.,]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Splits an agency label ("DEPARTAMENTO / PROVINCIA / DISTRITO / AGENCIA", optionally ending in
+ * "- AEREO") into its parts.
+ *
+ * @param {string} label
+ * @returns {Object} - { label, department, province, district, agency, air }
+ */
+function parseLabel(label) {
+  const text = String(label).trim();
+  const air = /-\s*AEREO$/i.test(text);
+  const base = air ? text.replace(/\s*-\s*AEREO$/i, '') : text;
+  const [department = '', province = '', district = '', ...agency] = base.split('/').map(p => p.trim());
+
+  return {
+    label: text,
+    department,
+    province,
+    district,
+    agency: agency.join(' / '),
+    air
+  };
+}
+
+// Base agencies from the seed plus their air variants
+function buildSeed() {
+  const agencies = [];
+  for (const label of seedLabels) {
+    agencies.push(parseLabel(label));
+    agencies.push(parseLabel(`${label}${AIR_SUFFIX}`));
+  }
+  return agencies;
+}
+
+// In-memory catalog used by validation and search: the seed until a persisted catalog is loaded
+let agencies = buildSeed();
+let updatedAt = null;
+
+function getAgencies() {
+  return agencies;
+}
+
+function getUpdatedAt() {
+  return updatedAt;
+}
+
+/**
+ * Loads the catalog persisted by the last refresh. Keeps the seed when the table is empty.
+ *
+ * @returns {Promise<number>} - Number of agencies in the catalog
+ */
+async function loadAgencies() {
+  const db = getPrisma();
+  const rows = await db.agency.findMany({ orderBy: { label: 'asc' } });
+
+  if (rows.length > 0) {
+    agencies = rows.map(({ label, department, province, district, agency, air }) => ({ label, department, province, district, agency, air }));
+    updatedAt = rows.reduce((latest, r) => (r.updatedAt > latest ? r.updatedAt : latest), rows[0].updatedAt);
+  }
+
+  return agencies.length;
+}
+
+/**
+ * Replaces the catalog with freshly scraped labels and persists it.
+ *
+ * @param {Array<string>} labels - Agency labels as shown in the Origen/Destino dropdowns
+ * @returns {Promise<number>} - Number of agencies in the new catalog
+ */
+async function replaceAgencies(labels) {
+  const entries = [...new Set(labels.map(l => String(l).trim()).filter(Boolean))].map(parseLabel);
+  if (entries.length === 0) throw new Error('Refusing to replace the catalog with an empty list');
+
+  const db = getPrisma();
+  await db.$transaction([
+    db.agency.deleteMany(),
+    db.agency.createMany({ data: entries })
+  ]);
+
+  agencies = entries;
+  updatedAt = new Date();
+  return agencies.length;
+}
+
+// Levenshtein similarity between two normalized strings, from 0 to 1
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+// Best similarity of a value against the full label, the agency name and the district of an entry
+function scoreAgency(query, entry) {
+  const agencyName = normalize(entry.air ? `${entry.agency}${AIR_SUFFIX}` : entry.agency);
+  const fields = [normalize(entry.label), agencyName, normalize(entry.district)];
+
+  let score = Math.max(...fields.map(field => similarity(query, field)));
+  if (fields.some(field => field.includes(query))) score = Math.max(score, 0.8);
+  // The air variant only fits queries that ask for it
+  if (entry.air !== query.endsWith('AEREO')) score -= 0.1;
+  return score;
+}
+
+/**
+ * Looks up a location the way it would be typed in the Origen/Destino fields: either the full
+ * label or just the agency name (with "- AEREO" for the air variant), accent and case insensitive.
+ *
+ * @param {string} value
+ * @returns {Object} - { agency, ambiguous } where agency is the single match or null, and
+ *                     ambiguous lists the entries when the value matches more than one
+ */
+function findAgency(value) {
+  const query = normalize(value);
+  if (!query) return { agency: null, ambiguous: [] };
+
+  const byLabel = agencies.find(a => normalize(a.label) === query);
+  if (byLabel) return { agency: byLabel, ambiguous: [] };
+
+  const byName = agencies.filter(a => normalize(a.air ? `${a.agency}${AIR_SUFFIX}` : a.agency) === query);
+  if (byName.length === 1) return { agency: byName[0], ambiguous: [] };
+
+  return { agency: null, ambiguous: byName };
+}
+
+/**
+ * Returns the closest agency labels to a (possibly misspelled) location.
+ *
+ * @param {string} value
+ * @param {number} limit - Maximum number of suggestions (default: 3)
+ * @returns {Array<string>} - Agency labels, best match first
+ */
+function suggestAgencies(value, limit = 3) {
+  const query = normalize(value);
+  if (!query) return [];
+
+  return agencies
+    .map(entry => ({ label: entry.label, score: scoreAgency(query, entry) }))
+    .filter(s => s.score >= 0.5)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(s => s.label);
+}
+
+/**
+ * Accent-insensitive fuzzy search over the catalog.
+ *
+ * @param {string} q - Search text; when empty every agency is returned in catalog order
+ * @param {Object} options - { limit, air } where air filters by air variant when set
+ * @returns {Object} - { total, agencies } with each agency's match score (1 = exact)
+ */
+function searchAgencies(q, { limit = 20, air } = {}) {
+  const query = normalize(q);
+  let results = agencies.filter(a => air === undefined || a.air === air);
+
+  if (query) {
+    results = results
+      .map(entry => ({ ...entry, score: Math.max(0, Math.round(scoreAgency(query, entry) * 100) / 100) }))
+      .filter(entry => entry.score >= 0.5)
+      .sort((a, b) => b.score - a.score);
+  } else {
+    results = results.map(entry => ({ ...entry, score: 1 }));
+  }
+
+  return { total: results.length, agencies: results.slice(0, limit) };
+}
+
+module.exports = {
+  normalize,
+  parseLabel,
+  getAgencies,
+  getUpdatedAt,
+  loadAgencies,
+  replaceAgencies,
+  findAgency,
+  suggestAgencies,
+  searchAgencies
+};
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+
+/**
+ * Application-level encryption for secrets stored in the database (instance passwords and
+ * Playwright storage state).
+ *
+ * Keys come from the environment:
+ * - CREDENTIALS_ENCRYPTION_KEY: current key, used to encrypt and decrypt
+ * - CREDENTIALS_ENCRYPTION_PREVIOUS_KEYS: comma-separated retired keys, only used to decrypt
+ *
+ * - ALLOW_PLAINTEXT_CREDENTIALS=true: store secrets unencrypted when no key is set (development only)
+ *
+ * A key is 32 bytes in base64 or hex; any other string is hashed with SHA-256. Encrypted values
+ * look like `enc:v1:<keyId>:<iv>:<authTag>:<ciphertext>` so the key that produced them can be
+ * found after a rotation. Values without the prefix are legacy plaintext and returned as-is.
+ */
+
+const PREFIX = 'enc:v1';
+const ALGORITHM = 'aes-256-gcm';
+
+let keyring = null;
+let warnedMissingKey = false;
+
+const plaintextAllowed = () => process.env.ALLOW_PLAINTEXT_CREDENTIALS === 'true';
+
+function parseKey(secret) {
+  const value = secret.trim();
+  if (/^[0-9a-f]{64}$/i.test(value)) return Buffer.from(value, 'hex');
+
+  const base64 = Buffer.from(value, 'base64');
+  if (base64.length === 32 && base64.toString('base64').replace(/=+$/, '') === value.replace(/=+$/, '')) return base64;
+
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+function getKeyring() {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  let current = null;
+
+  if (process.env.CREDENTIALS_ENCRYPTION_KEY) {
+    const key = parseKey(process.env.CREDENTIALS_ENCRYPTION_KEY);
+    current = { id: keyId(key), key };
+    keys.set(current.id, key);
+  }
+
+  for (const secret of (process.env.CREDENTIALS_ENCRYPTION_PREVIOUS_KEYS || '').split(',')) {
+    if (!secret.trim()) continue;
+    const key = parseKey(secret);
+    keys.set(keyId(key), key);
+  }
+
+  keyring = { current, keys };
+  return keyring;
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+/**
+ * Checks at startup that secrets can be encrypted, so a missing key stops the server instead of
+ * failing on the first login.
+ *
+ * @throws {Error} When CREDENTIALS_ENCRYPTION_KEY is not set and plaintext was not explicitly allowed
+ */
+function assertEncryptionConfigured() {
+  if (getKeyring().current || plaintextAllowed()) return;
+  throw new Error('CREDENTIALS_ENCRYPTION_KEY is not set (set ALLOW_PLAINTEXT_CREDENTIALS=true to store credentials unencrypted)');
+}
+
+/**
+ * Encrypts a value with the current key. Without CREDENTIALS_ENCRYPTION_KEY the value is only
+ * stored as plaintext when ALLOW_PLAINTEXT_CREDENTIALS=true, and a warning is logged once.
+ *
+ * @param {string|null} plaintext
+ * @returns {string|null}
+ * @throws {Error} When no key is configured and plaintext is not allowed
+ */
+function encrypt(plaintext) {
+  if (plaintext === null || plaintext === undefined) return null;
+
+  const { current } = getKeyring();
+  if (!current) {
+    assertEncryptionConfigured();
+    if (!warnedMissingKey) {
+      console.warn('CREDENTIALS_ENCRYPTION_KEY is not set, credentials and sessions are stored unencrypted');
+      warnedMissingKey = true;
+    }
+    return plaintext;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, current.key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [PREFIX, current.id, iv.toString('base64'), authTag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypts a value written by encrypt(). Legacy plaintext values are returned unchanged.
+ *
+ * @param {string|null} value
+ * @returns {string|null}
+ * @throws {Error} When the key that encrypted the value is not configured or the data was tampered with
+ */
+function decrypt(value) {
+  if (value === null || value === undefined) return null;
+  if (!isEncrypted(value)) return value;
+
+  const [, , id, iv, authTag, ciphertext] = value.split(':');
+  const key = getKeyring().keys.get(id);
+  if (!key) throw new Error(`Encryption key ${id} is not configured`);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Whether a stored value should be rewritten: plaintext, or encrypted with a retired key.
+ * Always false when no current key is configured.
+ *
+ * @param {string|null} value
+ * @returns {boolean}
+ */
+function needsReencryption(value) {
+  if (value === null || value === undefined) return false;
+
+  const { current } = getKeyring();
+  if (!current) return false;
+  if (!isEncrypted(value)) return true;
+  return value.split(':')[2] !== current.id;
+}
+
+module.exports = { encrypt, decrypt, isEncrypted, needsReencryption, assertEncryptionConfigured };
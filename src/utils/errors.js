@@ -0,0 +1,34 @@
+/**
+ * Thrown when an instance's page is held by another operation for longer than the lock wait timeout.
+ * Routes answer it with 423 Locked.
+ */
+class InstanceBusyError extends Error {
+  constructor(instanceId, action) {
+    super(`Instance ${instanceId} is busy (${action || 'unknown operation'} in progress)`);
+    this.name = 'InstanceBusyError';
+    this.code = 'INSTANCE_BUSY';
+    this.statusCode = 423;
+    this.instanceId = instanceId;
+    this.action = action || null;
+  }
+}
+
+/**
+ * Thrown by registerMassiveShipment when the rows would go over the daily or monthly quota of the
+ * instance. Jobs fail without retrying and report it as `quotaExceeded`; POST /register checks the
+ * quota upfront and answers 429 itself.
+ */
+class QuotaExceededError extends Error {
+  constructor(instanceId, period, limit, remaining) {
+    super(`Instance ${instanceId} ${period} shipment quota exceeded (${remaining} of ${limit} left)`);
+    this.name = 'QuotaExceededError';
+    this.code = 'QUOTA_EXCEEDED';
+    this.statusCode = 429;
+    this.instanceId = instanceId;
+    this.period = period;
+    this.limit = limit;
+    this.remaining = remaining;
+  }
+}
+
+module.exports = { InstanceBusyError, QuotaExceededError };
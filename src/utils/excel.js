@@ -2,6 +2,31 @@ const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs');
 
+/**
+ * Resolves the field aliases accepted for a shipment (recipient object, Spanish names) into the
+ * canonical fields written to each Excel column.
+ *
+ * @param {Object} s - Shipment object
+ * @returns {Object} - { recipientDoc, recipientPhone, contactDoc, contactPhone, grr, origin, destination, content, height, width, length, weight, quantity }
+ */
+function normalizeShipment(s) {
+  return {
+    recipientDoc: s.recipientDoc || s.recipient?.documentNumber || '',
+    recipientPhone: s.recipientPhone || s.recipient?.phone || '',
+    contactDoc: s.contactDoc || s.recipientDoc || s.recipient?.documentNumber || '',
+    contactPhone: s.contactPhone || s.recipientPhone || s.recipient?.phone || '',
+    grr: s.grr || '',
+    origin: s.origin || '',
+    destination: s.destination || '',
+    content: s.content || s.merchandise || '',
+    height: s.height || s.alto || 0,
+    width: s.width || s.ancho || 0,
+    length: s.length || s.largo || 0,
+    weight: s.weight || s.peso || 0,
+    quantity: s.quantity || s.cantidad || 1
+  };
+}
+
 /**
  * Generates an Excel file for massive shipment registration with specific columns.
  * 
@@ -19,20 +44,20 @@ function generateMassiveShipmentExcel(shipments, outputDir = './temp') {
   }
 
   // Map shipments to rows
-  const rows = shipments.map(s => ({
-    'DESTINATARIO (DOC)': s.recipientDoc || s.recipient?.documentNumber || '',
-    'TELF. DESTINATARIO': s.recipientPhone || s.recipient?.phone || '',
-    'CONTACTO (DOC)': s.contactDoc || s.recipientDoc || s.recipient?.documentNumber || '',
-    'TELF. CONTACTO': s.contactPhone || s.recipientPhone || s.recipient?.phone || '',
-    'NRO GRR': s.grr || '',
-    'ORIGEN': s.origin || '',
-    'DESTINO': s.destination || '',
-    'MERCADERIA': s.content || s.merchandise || '',
-    'ALTO': s.height || s.alto || 0,
-    'ANCHO': s.width || s.ancho || 0,
-    'LARGO': s.length || s.largo || 0,
-    'PESO': s.weight || s.peso || 0,
-    'CANTIDAD': s.quantity || s.cantidad || 1
+  const rows = shipments.map(normalizeShipment).map(s => ({
+    'DESTINATARIO (DOC)': s.recipientDoc,
+    'TELF. DESTINATARIO': s.recipientPhone,
+    'CONTACTO (DOC)': s.contactDoc,
+    'TELF. CONTACTO': s.contactPhone,
+    'NRO GRR': s.grr,
+    'ORIGEN': s.origin,
+    'DESTINO': s.destination,
+    'MERCADERIA': s.content,
+    'ALTO': s.height,
+    'ANCHO': s.width,
+    'LARGO': s.length,
+    'PESO': s.weight,
+    'CANTIDAD': s.quantity
   }));
 
   // Create worksheet
@@ -52,4 +77,113 @@ function generateMassiveShipmentExcel(shipments, outputDir = './temp') {
   return filePath;
 }
 
-module.exports = { generateMassiveShipmentExcel };
+// Columns of the "Formato Pro Masivo" template, in order
+const MASSIVE_COLUMNS = [
+  'DESTINATARIO (DOC)', 'TELF. DESTINATARIO', 'CONTACTO (DOC)', 'TELF. CONTACTO', 'NRO GRR',
+  'ORIGEN', 'DESTINO', 'MERCADERIA', 'ALTO', 'ANCHO', 'LARGO', 'PESO', 'CANTIDAD'
+];
+
+const NUMERIC_COLUMNS = {
+  'ALTO': 'height',
+  'ANCHO': 'width',
+  'LARGO': 'length',
+  'PESO': 'weight',
+  'CANTIDAD': 'quantity'
+};
+
+function sheetRows(workbook) {
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!worksheet) return [];
+  return XLSX.utils.sheet_to_json(worksheet, { defval: '' });
+}
+
+/**
+ * Reads a massive shipment Excel file back into shipment objects, using the same field names
+ * accepted by generateMassiveShipmentExcel.
+ *
+ * @param {string} filePath - Path to the Excel file
+ * @returns {Array} - Array of shipment objects, one per data row
+ */
+function readMassiveShipmentExcel(filePath) {
+  return toShipments(sheetRows(XLSX.readFile(filePath)));
+}
+
+/**
+ * Parses an uploaded .xlsx or .csv file and checks it against the "Formato Pro Masivo" template.
+ * CSV cells are read as text so document numbers keep their leading zeros.
+ *
+ * @param {Buffer} data - File contents
+ * @param {string} filename - Original file name, used to tell CSV from Excel
+ * @returns {Object} - { valid, total, missingColumns, invalid, rows, shipments } where rows lists
+ *                     { row, errors } for each malformed row (row 1 = first data row)
+ */
+function parseMassiveShipmentFile(data, filename = '') {
+  const isCsv = /\.csv$/i.test(filename);
+  const workbook = isCsv
+    ? XLSX.read(data.toString('utf8').replace(/^\uFEFF/, ''), { type: 'string', raw: true })
+    : XLSX.read(data, { type: 'buffer' });
+
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  const [header = []] = worksheet ? XLSX.utils.sheet_to_json(worksheet, { header: 1, blankrows: false }) : [];
+  const columns = header.map(h => String(h).trim().toUpperCase());
+  const missingColumns = MASSIVE_COLUMNS.filter(c => !columns.includes(c));
+
+  // Template headers may come with different spacing or case
+  const raw = sheetRows(workbook).map(r => {
+    const row = {};
+    for (const [key, value] of Object.entries(r)) row[String(key).trim().toUpperCase()] = value;
+    return row;
+  });
+
+  const rows = [];
+  if (missingColumns.length === 0) {
+    raw.forEach((r, index) => {
+      const errors = [];
+      for (const [column, field] of Object.entries(NUMERIC_COLUMNS)) {
+        const value = String(r[column]).trim();
+        if (value !== '' && !Number.isFinite(Number(value))) {
+          errors.push({ field, message: `${column} must be a number, got "${value}"` });
+        }
+      }
+      if (errors.length > 0) rows.push({ row: index + 1, errors });
+    });
+  }
+
+  return {
+    valid: missingColumns.length === 0 && raw.length > 0 && rows.length === 0,
+    total: raw.length,
+    missingColumns,
+    invalid: rows.length,
+    rows,
+    shipments: missingColumns.length === 0 ? toShipments(raw) : []
+  };
+}
+
+// Template rows (keyed by column header) to shipment objects
+function toShipments(rows) {
+  const text = (value) => String(value).trim();
+
+  return rows.map(r => ({
+    recipientDoc: text(r['DESTINATARIO (DOC)']),
+    recipientPhone: text(r['TELF. DESTINATARIO']),
+    contactDoc: text(r['CONTACTO (DOC)']),
+    contactPhone: text(r['TELF. CONTACTO']),
+    grr: text(r['NRO GRR']),
+    origin: text(r['ORIGEN']),
+    destination: text(r['DESTINO']),
+    content: text(r['MERCADERIA']),
+    height: Number(r['ALTO']) || 0,
+    width: Number(r['ANCHO']) || 0,
+    length: Number(r['LARGO']) || 0,
+    weight: Number(r['PESO']) || 0,
+    quantity: Number(r['CANTIDAD']) || 1
+  }));
+}
+
+module.exports = {
+  MASSIVE_COLUMNS,
+  normalizeShipment,
+  generateMassiveShipmentExcel,
+  readMassiveShipmentExcel,
+  parseMassiveShipmentFile
+};
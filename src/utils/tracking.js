@@ -0,0 +1,71 @@
+/**
+ * Stable tracking states exposed by the API. Shalom labels vary between screens ("EN TRÁNSITO",
+ * "En ruta", "Despachado"...), so they are mapped by keyword, first match wins.
+ */
+const TRACKING_STATUSES = ['registered', 'in_transit', 'at_destination', 'delivered', 'cancelled', 'unknown'];
+
+const STATUS_KEYWORDS = [
+  { status: 'cancelled', keywords: ['ANULAD', 'ELIMINAD', 'CANCELAD'] },
+  { status: 'delivered', keywords: ['ENTREGADO'] },
+  { status: 'at_destination', keywords: ['EN DESTINO', 'LLEGO', 'ARRIBO', 'DISPONIBLE', 'PARA RECOJO', 'EN AGENCIA DESTINO'] },
+  { status: 'in_transit', keywords: ['TRANSITO', 'EN RUTA', 'DESPACHAD', 'EN CAMINO', 'SALIDA', 'EMBARCAD'] },
+  { status: 'registered', keywords: ['REGISTRAD', 'PENDIENTE', 'RECIBIDO', 'EN ORIGEN', 'ACEPTAD'] }
+];
+
+/**
+ * Maps a Shalom status label to one of TRACKING_STATUSES.
+ *
+ * @param {string} label
+ * @returns {string}
+ */
+function normalizeTrackingStatus(label) {
+  const text = String(label || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase();
+
+  const match = STATUS_KEYWORDS.find(({ keywords }) => keywords.some(k => text.includes(k)));
+  return match ? match.status : 'unknown';
+}
+
+// Sortable key for "dd/mm/yyyy hh:mm" dates (the time and its am/pm suffix are optional)
+function dateKey(date) {
+  const match = String(date || '').match(/(\d{2})\/(\d{2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap])?)?/i);
+  if (!match) return '';
+
+  const [, day, month, year, hour = '0', minute = '00', meridiem] = match;
+  let h = Number(hour);
+  if (meridiem) h = (h % 12) + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+  return `${year}${month}${day}${String(h).padStart(2, '0')}${minute}`;
+}
+
+/**
+ * Builds the API response from the raw values read from the tracking screen.
+ *
+ * @param {Object} raw - { orderNumber, code, statusLabel, origin, destination, timeline: [{ label, date }] }
+ * @returns {Object} - Same fields with `status` and each timeline entry's `status` normalized
+ */
+function formatTracking(raw) {
+  // Oldest first, whatever order the screen lists them in
+  const timeline = (raw.timeline || [])
+    .map(entry => ({
+      status: normalizeTrackingStatus(entry.label),
+      label: entry.label,
+      date: entry.date || null
+    }))
+    .sort((a, b) => dateKey(a.date).localeCompare(dateKey(b.date)));
+
+  // Without an explicit "Estado" the latest timeline entry is the current state
+  const statusLabel = raw.statusLabel || (timeline.length > 0 ? timeline[timeline.length - 1].label : null);
+
+  return {
+    orderNumber: raw.orderNumber,
+    code: raw.code || null,
+    status: normalizeTrackingStatus(statusLabel),
+    statusLabel,
+    origin: raw.origin || null,
+    destination: raw.destination || null,
+    timeline
+  };
+}
+
+module.exports = { TRACKING_STATUSES, normalizeTrackingStatus, formatTracking };
@@ -0,0 +1,136 @@
+const { normalizeShipment } = require('./excel');
+const { findAgency, suggestAgencies } = require('./catalog');
+
+/**
+ * Size and weight limits of each MERCADERIA value (dimensions in cm, weight in kg), from the
+ * product types documented in shalom_datos.md. SOBRE is for documents (A4) and CAJA/BULTO are
+ * custom measures, so they have no fixed limits.
+ */
+const PRODUCT_LIMITS = {
+  'SOBRE': null,
+  'PAQUETE XXS': { maxWeight: 0.25, dimensions: [15, 10, 10] },
+  'PAQUETE XS': { maxWeight: 0.5, dimensions: [15, 20, 12] },
+  'PAQUETE S': { maxWeight: 2, dimensions: [20, 30, 12] },
+  'PAQUETE M': { maxWeight: 5, dimensions: [24, 30, 20] },
+  'PAQUETE L': { maxWeight: 10, dimensions: [42, 30, 23] },
+  'CAJA': null,
+  'BULTO': null
+};
+
+const CUSTOM_PRODUCTS = ['CAJA', 'BULTO'];
+
+function validateLocation(field, value) {
+  if (!value) return { field, message: 'Required' };
+
+  const { agency, ambiguous } = findAgency(value);
+  if (agency) return null;
+
+  if (ambiguous.length > 0) {
+    return {
+      field,
+      message: `Ambiguous agency "${value}", use the full label`,
+      suggestions: ambiguous.map(a => a.label)
+    };
+  }
+
+  return {
+    field,
+    message: `Unknown agency "${value}"`,
+    suggestions: suggestAgencies(value)
+  };
+}
+
+function validateSize(s) {
+  const errors = [];
+  const limits = PRODUCT_LIMITS[s.content];
+
+  if (limits) {
+    if (s.weight > limits.maxWeight) {
+      errors.push({ field: 'weight', message: `Weight ${s.weight} kg exceeds the ${limits.maxWeight} kg limit of ${s.content}` });
+    }
+
+    // Dimensions are compared largest to largest, so the package may be declared in any orientation
+    const given = [s.height, s.width, s.length];
+    if (given.every(d => d > 0)) {
+      const sortedGiven = [...given].sort((a, b) => b - a);
+      const sortedMax = [...limits.dimensions].sort((a, b) => b - a);
+      if (sortedGiven.some((d, i) => d > sortedMax[i])) {
+        errors.push({
+          field: 'dimensions',
+          message: `Dimensions ${given.join(' x ')} cm do not fit ${s.content} (${limits.dimensions.join(' x ')} cm)`
+        });
+      }
+    }
+  }
+
+  if (CUSTOM_PRODUCTS.includes(s.content)) {
+    for (const field of ['height', 'width', 'length', 'weight']) {
+      if (!(s[field] > 0)) errors.push({ field, message: `Required for ${s.content}` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a shipment before it is written to the massive upload Excel.
+ *
+ * @param {Object} shipment - Shipment object (same aliases accepted by generateMassiveShipmentExcel)
+ * @returns {Array} - List of { field, message, suggestions? }, empty when the shipment is valid
+ */
+function validateShipment(shipment) {
+  const s = normalizeShipment(shipment);
+  const errors = [];
+
+  if (!s.recipientDoc) errors.push({ field: 'recipientDoc', message: 'Required' });
+
+  for (const field of ['recipientPhone', 'contactPhone']) {
+    if (s[field] && !/^\+?\d{6,15}$/.test(String(s[field]))) {
+      errors.push({ field, message: 'Invalid phone number' });
+    }
+  }
+
+  for (const field of ['origin', 'destination']) {
+    const error = validateLocation(field, s[field]);
+    if (error) errors.push(error);
+  }
+
+  if (!s.content) {
+    errors.push({ field: 'content', message: 'Required' });
+  } else if (!Object.prototype.hasOwnProperty.call(PRODUCT_LIMITS, s.content)) {
+    errors.push({ field: 'content', message: `Unknown product type "${s.content}"`, suggestions: Object.keys(PRODUCT_LIMITS) });
+  } else {
+    errors.push(...validateSize(s));
+  }
+
+  if (!Number.isInteger(Number(s.quantity)) || Number(s.quantity) < 1) {
+    errors.push({ field: 'quantity', message: 'Must be a positive integer' });
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a batch of shipments.
+ *
+ * @param {Array} shipments - Array of shipment objects
+ * @returns {Object} - { valid, total, invalid, rows } where rows lists { row, errors } for each
+ *                     invalid shipment (row 1 = first shipment)
+ */
+function validateShipments(shipments) {
+  const rows = [];
+
+  shipments.forEach((shipment, index) => {
+    const errors = validateShipment(shipment);
+    if (errors.length > 0) rows.push({ row: index + 1, errors });
+  });
+
+  return {
+    valid: rows.length === 0,
+    total: shipments.length,
+    invalid: rows.length,
+    rows
+  };
+}
+
+module.exports = { PRODUCT_LIMITS, validateLocation, validateShipment, validateShipments };
@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+const { Queue, Worker } = require('bullmq');
+const IORedis = require('ioredis');
+const { getPrisma } = require('./db');
+const { encrypt, decrypt } = require('./utils/crypto');
+
+const WEBHOOK_EVENTS = [
+  'batch.succeeded',
+  'batch.partial',
+  'batch.failed',
+  'session.expired',
+  'autologin.failed',
+  'instance.deleted'
+];
+
+const QUEUE_NAME = 'webhooks';
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+// Development only: lets webhooks point to localhost or the private network
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses are matched against the IPv4 rules too.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+const isBlocked = ({ address, family }) => BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+
+// dns.lookup used by the delivery connections. The request goes to the address resolved and checked
+// here, so a host cannot pass checkUrl and then resolve to a private address (DNS rebinding).
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const blocked = addresses.find(isBlocked);
+    if (blocked) return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const deliveryAgent = ALLOW_PRIVATE_URLS ? new Agent() : new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * Per-instance webhook subscriptions and their deliveries.
+ *
+ * Every event is stored as a delivery and sent by a BullMQ worker, retried with exponential backoff
+ * until the endpoint answers 2xx or the attempts run out. Requests carry an HMAC-SHA256 signature of
+ * `<timestamp>.<body>` made with the subscription secret:
+ *
+ *   X-Webhook-Timestamp: 1767225600
+ *   X-Webhook-Signature: sha256=<hex>
+ *
+ * URLs must resolve to public addresses: they are checked when the subscription is created and again
+ * before every delivery, deliveries connect only to the addresses that passed the check, and
+ * redirects are not followed.
+ *
+ * Dispatch failures are logged and never interrupt the operation that raised the event.
+ */
+class Webhooks {
+  constructor() {
+    this.events = WEBHOOK_EVENTS;
+    this.connection = null;
+    this.queue = null;
+    this.worker = null;
+  }
+
+  // Same reasons as JobQueue: BullMQ workers need a connection with maxRetriesPerRequest = null
+  _getQueue() {
+    if (this.queue) return this.queue;
+
+    this.connection = new IORedis(process.env.REDIS_URL, { maxRetriesPerRequest: null });
+    this.connection.on('error', (err) => console.error('Webhooks Redis error:', err.message));
+
+    this.queue = new Queue(QUEUE_NAME, {
+      connection: this.connection,
+      defaultJobOptions: {
+        attempts: MAX_ATTEMPTS,
+        backoff: { type: 'exponential', delay: 10000 },
+        removeOnComplete: { age: 24 * 3600 },
+        removeOnFail: { age: 7 * 24 * 3600 }
+      }
+    });
+    return this.queue;
+  }
+
+  // Start the delivery worker; deliveries queued before a restart are resumed
+  async initialize() {
+    this._getQueue();
+    this.worker = new Worker(QUEUE_NAME, job => this._deliver(job), {
+      connection: this.connection,
+      concurrency: 5
+    });
+    this.worker.on('error', (err) => console.error('Webhook worker error:', err.message));
+    console.log('Webhook worker started');
+  }
+
+  /**
+   * Checks that a webhook URL is http(s) and that its host only resolves to public addresses.
+   *
+   * @param {string} url
+   * @returns {Promise<string|null>} - Why the URL is rejected, or null if it can be used
+   */
+  async checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return 'Invalid URL';
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return 'Only http and https URLs are allowed';
+    if (ALLOW_PRIVATE_URLS) return null;
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    if (net.isIP(host)) {
+      addresses = [{ address: host, family: net.isIP(host) }];
+    } else {
+      try {
+        addresses = await dns.promises.lookup(host, { all: true });
+      } catch (error) {
+        return `Cannot resolve ${host}`;
+      }
+    }
+
+    const blocked = addresses.find(isBlocked);
+    if (!blocked) return null;
+    return net.isIP(host) ? `${host} is not a public address` : `${host} resolves to a non-public address (${blocked.address})`;
+  }
+
+  async create(instanceId, { url, events }) {
+    const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+    const db = getPrisma();
+    const webhook = await db.webhook.create({
+      data: { instanceId, url, events: [...new Set(events)], secret: encrypt(secret) }
+    });
+
+    // The secret is only returned here, the client must keep it to verify signatures
+    return { ...this._format(webhook), secret };
+  }
+
+  async list(instanceId) {
+    const db = getPrisma();
+    const webhooks = await db.webhook.findMany({
+      where: { instanceId, deletedAt: null },
+      orderBy: { createdAt: 'asc' }
+    });
+    return webhooks.map(w => this._format(w));
+  }
+
+  // Marks the subscription deleted; its delivery log is kept
+  async remove(instanceId, id) {
+    const db = getPrisma();
+    const { count } = await db.webhook.updateMany({
+      where: { id, instanceId, deletedAt: null },
+      data: { deletedAt: new Date() }
+    });
+    return count > 0;
+  }
+
+  // Retires the subscriptions of a deleted instance. They are only marked deleted so their delivery
+  // log is kept; those listening to instance.deleted stay active until that notification is settled
+  // (see _deliver)
+  async removeInstance(instanceId) {
+    try {
+      const db = getPrisma();
+      await db.webhook.updateMany({
+        where: { instanceId, deletedAt: null, NOT: { events: { has: 'instance.deleted' } } },
+        data: { deletedAt: new Date() }
+      });
+    } catch (error) {
+      console.error(`[${instanceId}] Failed to remove webhooks:`, error.message);
+    }
+  }
+
+  /**
+   * Lists the deliveries of a subscription, newest first.
+   *
+   * @returns {Promise<Object|null>} - { total, page, pageSize, deliveries }, or null when the
+   *                                   subscription does not belong to the instance
+   */
+  async listDeliveries(instanceId, webhookId, { status, page = 1, pageSize = 20 } = {}) {
+    const db = getPrisma();
+    const webhook = await db.webhook.findFirst({ where: { id: webhookId, instanceId, deletedAt: null } });
+    if (!webhook) return null;
+
+    const where = { webhookId };
+    if (status) where.status = status;
+
+    const [total, deliveries] = await Promise.all([
+      db.webhookDelivery.count({ where }),
+      db.webhookDelivery.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize
+      })
+    ]);
+
+    return { total, page, pageSize, deliveries };
+  }
+
+  _format({ id, instanceId, url, events, createdAt }) {
+    return { id, instanceId, url, events, createdAt };
+  }
+
+  /**
+   * Queues an event for every subscription of the instance that listens to it.
+   *
+   * @param {string} instanceId
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event details sent as `data` in the payload
+   */
+  async dispatch(instanceId, event, data = {}) {
+    try {
+      const db = getPrisma();
+      const webhooks = await db.webhook.findMany({
+        where: { instanceId, deletedAt: null, events: { has: event } }
+      });
+
+      for (const webhook of webhooks) {
+        const id = crypto.randomUUID();
+        const payload = { id, event, instanceId, createdAt: new Date().toISOString(), data };
+
+        await db.webhookDelivery.create({
+          data: { id, webhookId: webhook.id, event, payload }
+        });
+        await this._getQueue().add('deliver', { deliveryId: id }, { jobId: id });
+      }
+    } catch (error) {
+      console.error(`[${instanceId}] Failed to dispatch webhook event ${event}:`, error.message);
+    }
+  }
+
+  async _deliver(job) {
+    const db = getPrisma();
+    const delivery = await db.webhookDelivery.findUnique({ where: { id: job.data.deliveryId } });
+    if (!delivery) return;
+
+    const webhook = await db.webhook.findUnique({ where: { id: delivery.webhookId } });
+    if (!webhook || webhook.deletedAt) return;
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', decrypt(webhook.secret))
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    const attempts = job.attemptsMade + 1;
+    const isLastAttempt = attempts >= (job.opts.attempts || 1);
+    let responseStatus = null;
+    // The host may resolve somewhere else than when the subscription was created
+    let error = await this.checkUrl(webhook.url);
+
+    if (!error) {
+      try {
+        const response = await fetch(webhook.url, {
+          method: 'POST',
+          headers: {
+            'content-type': 'application/json',
+            'user-agent': 'shalom-multenant-webhooks',
+            'x-webhook-id': delivery.id,
+            'x-webhook-event': delivery.event,
+            'x-webhook-timestamp': String(timestamp),
+            'x-webhook-signature': `sha256=${signature}`
+          },
+          body,
+          redirect: 'manual',
+          dispatcher: deliveryAgent,
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        responseStatus = response.status;
+        if (!response.ok) error = `Endpoint answered ${response.status}`;
+      } catch (err) {
+        // fetch only says "fetch failed"; the reason (refused, blocked address...) is the cause
+        error = (err.cause && err.cause.message) || err.message;
+      }
+    }
+
+    await db.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: error ? (isLastAttempt ? 'failed' : 'pending') : 'succeeded',
+        attempts,
+        responseStatus,
+        error,
+        lastAttemptAt: new Date(),
+        deliveredAt: error ? null : new Date()
+      }
+    }).catch(err => console.error(`Failed to update webhook delivery ${delivery.id}:`, err.message));
+
+    // The subscriptions of a deleted instance only live until its last notification is settled
+    if (delivery.event === 'instance.deleted' && (!error || isLastAttempt)) {
+      await db.webhook.update({ where: { id: webhook.id }, data: { deletedAt: new Date() } }).catch(() => { });
+    }
+
+    if (error) throw new Error(error);
+  }
+
+  async shutdown() {
+    if (this.worker) await this.worker.close().catch(() => { });
+    if (this.queue) await this.queue.close().catch(() => { });
+    if (this.connection) await this.connection.quit().catch(() => { });
+    await deliveryAgent.close().catch(() => { });
+
+    this.worker = null;
+    this.queue = null;
+    this.connection = null;
+  }
+}
+
+module.exports = new Webhooks();
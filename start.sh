@@ -4,5 +4,8 @@ set -e
 echo "Running Prisma migrations..."
 npx prisma migrate deploy
 
+echo "Encrypting stored credentials with the current key..."
+node scripts/reencrypt-credentials.js
+
 echo "Starting application..."
 exec node src/index.js